@@ -0,0 +1,160 @@
+// attributes.js
+// Per-annotation element attributes (matched selector, visible text, ARIA role and accessible
+// name, href, tag and selected HTML attributes), stored on each COCO annotation for filtering.
+
+const FIELDS = ["selector", "text", "role", "name", "href", "tag", "attrs"];
+const DEFAULT_ATTRS = [
+  "id",
+  "class",
+  "type",
+  "alt",
+  "title",
+  "aria-label",
+  "data-testid",
+];
+
+// Config block → options, or null when disabled
+function attributeOptions(cfg = {}) {
+  if (!cfg || cfg.enabled !== true) return null;
+  const fields = Array.isArray(cfg.fields) ? cfg.fields : FIELDS;
+  const unknown = fields.filter((f) => !FIELDS.includes(f));
+  if (unknown.length)
+    throw new Error(
+      `Unknown "attributes.fields" ${unknown.join(
+        ", "
+      )} (expected: ${FIELDS.join(", ")}).`
+    );
+  if (cfg.attrs != null && !Array.isArray(cfg.attrs))
+    throw new Error(`"attributes.attrs" must be an array of attribute names.`);
+  return {
+    fields,
+    maxTextLength: Number.isInteger(cfg.maxTextLength)
+      ? cfg.maxTextLength
+      : 200,
+    attrs: cfg.attrs || DEFAULT_ATTRS,
+  };
+}
+
+// ----- In-page: runs inside the browser, so it must stay self-contained -----
+// Returns the requested fields that have a value ("selector" is added by the caller, which knows
+// which annotation rule matched). Role and name follow the ARIA rules only roughly: explicit
+// role/aria-* first, then the usual implicit roles and native labels.
+function elementAttributes(node, { fields, maxTextLength = 200, attrs = [] }) {
+  const want = new Set(fields);
+  const tag = node.localName;
+  const clean = (s) => {
+    const t = String(s || "")
+      .replace(/\s+/g, " ")
+      .trim();
+    return t.length > maxTextLength ? t.slice(0, maxTextLength) + "…" : t;
+  };
+  const text = () => clean(node.innerText ?? node.textContent);
+
+  const implicitRole = () => {
+    const type = (node.getAttribute("type") || "text").toLowerCase();
+    if (tag === "a" || tag === "area")
+      return node.hasAttribute("href") ? "link" : null;
+    if (tag === "input") {
+      if (["button", "submit", "reset", "image"].includes(type))
+        return "button";
+      if (type === "checkbox" || type === "radio") return type;
+      if (type === "range") return "slider";
+      if (type === "number") return "spinbutton";
+      if (type === "search") return "searchbox";
+      return type === "hidden" ? null : "textbox";
+    }
+    if (/^h[1-6]$/.test(tag)) return "heading";
+    return (
+      {
+        article: "article",
+        aside: "complementary",
+        button: "button",
+        dialog: "dialog",
+        footer: "contentinfo",
+        form: "form",
+        header: "banner",
+        img: "img",
+        li: "listitem",
+        main: "main",
+        nav: "navigation",
+        ol: "list",
+        option: "option",
+        progress: "progressbar",
+        select: "combobox",
+        summary: "button",
+        table: "table",
+        textarea: "textbox",
+        ul: "list",
+      }[tag] || null
+    );
+  };
+  const role = () =>
+    (node.getAttribute("role") || "").trim().split(/\s+/)[0] || implicitRole();
+
+  const name = () => {
+    const root = node.getRootNode();
+    const labelledBy = (node.getAttribute("aria-labelledby") || "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((id) => root.getElementById?.(id)?.textContent)
+      .filter(Boolean);
+    if (labelledBy.length) return clean(labelledBy.join(" "));
+    const label = node.getAttribute("aria-label");
+    if (label && label.trim()) return clean(label);
+    if (node.labels && node.labels.length)
+      return clean(Array.from(node.labels, (l) => l.textContent).join(" "));
+    const alt = node.getAttribute("alt");
+    const hasAlt =
+      ["img", "area"].includes(tag) || node.getAttribute("type") === "image";
+    if (hasAlt && alt && alt.trim()) return clean(alt);
+    if (tag === "svg") {
+      const title = node.querySelector(":scope > title");
+      if (title) return clean(title.textContent);
+    }
+    // Roles named from their content
+    const fromContent = ["button", "link", "heading", "option", "tab", "cell"];
+    if (fromContent.includes(role())) {
+      const t = text();
+      if (t) return t;
+    }
+    return clean(
+      node.getAttribute("title") || node.getAttribute("placeholder")
+    );
+  };
+
+  const href = () => {
+    // The element's own link, else the link it sits in (crossing shadow roots)
+    for (let n = node; n; n = n.parentNode || n.host) {
+      if (n.nodeType !== 1) continue;
+      if (n.localName === "a" || n.localName === "area") {
+        if (n.href) return typeof n.href === "string" ? n.href : n.href.baseVal;
+      }
+    }
+    return null;
+  };
+
+  const out = {};
+  const put = (k, v) => {
+    if (v != null && v !== "") out[k] = v;
+  };
+  if (want.has("tag")) put("tag", tag);
+  if (want.has("role")) put("role", role());
+  if (want.has("name")) put("name", name());
+  if (want.has("text")) put("text", text());
+  if (want.has("href")) put("href", href());
+  if (want.has("attrs")) {
+    const found = {};
+    for (const a of attrs) {
+      const v = node.getAttribute(a);
+      if (v != null) found[a] = clean(v);
+    }
+    if (Object.keys(found).length) out.attrs = found;
+  }
+  return out;
+}
+
+module.exports = {
+  FIELDS,
+  attributeOptions,
+  elementAttributes,
+};
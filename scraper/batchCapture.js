@@ -0,0 +1,304 @@
+// batchCapture.js
+// One in-page pass per frame that resolves every annotation selector and returns visibility,
+// rects, polygons and occlusion together, plus bulk outline toggling and per-phase timings.
+// Replaces the one-evaluate-per-element-per-step capture path.
+
+const { computeFrameOffset } = require("./deepQuery");
+const { elementGeometry } = require("./segmentation");
+const { visibleFraction } = require("./occlusion");
+const { elementAttributes } = require("./attributes");
+
+// ----- In-page collector: evaluated as source text (see evaluateCollector), so helpers are
+// passed in as arguments rather than closed over -----
+function collectInDocument(
+  args,
+  elementGeometry,
+  visibleFraction,
+  elementAttributes
+) {
+  const { annotations, segmentation, occlusion, attributes } = args;
+  // Area that will be in the screenshot; defaults to this frame's viewport
+  const bounds = args.region || {
+    left: 0,
+    top: 0,
+    right: innerWidth,
+    bottom: innerHeight,
+  };
+
+  const deepAll = (sel) => {
+    const seen = new Set();
+    const out = [];
+    const walk = (root) => {
+      for (const el of root.querySelectorAll(sel)) {
+        if (!seen.has(el)) {
+          seen.add(el);
+          out.push(el);
+        }
+      }
+      for (const el of root.querySelectorAll("*")) {
+        if (el.shadowRoot) walk(el.shadowRoot);
+      }
+    };
+    walk(document);
+    return out;
+  };
+
+  // node -> outline it had before we touched it (kept across shots until restored)
+  const marks = (window.__cocoMarks = window.__cocoMarks || new Map());
+
+  const items = [];
+  const itemNodes = [];
+  const errors = [];
+  annotations.forEach((a, annIndex) => {
+    let nodes;
+    try {
+      nodes = deepAll(a.selector);
+    } catch (e) {
+      errors.push({ selector: a.selector, error: e.message });
+      return;
+    }
+    for (const node of nodes) {
+      const s = getComputedStyle(node);
+      if (
+        s.display === "none" ||
+        s.visibility === "hidden" ||
+        s.opacity === "0"
+      )
+        continue;
+      const r = node.getBoundingClientRect();
+      if (
+        !(
+          r.bottom > bounds.top &&
+          r.right > bounds.left &&
+          r.top < bounds.bottom &&
+          r.left < bounds.right
+        )
+      )
+        continue;
+
+      if (a.outline) {
+        if (!marks.has(node)) marks.set(node, node.style.outline);
+        node.style.outline = a.outline;
+        node.style.outlineOffset = "0px";
+        try {
+          node.setAttribute("data-coco-cat", a.category || "");
+        } catch {}
+      }
+
+      let polygons = null;
+      if (segmentation) {
+        try {
+          polygons = elementGeometry(node, segmentation).polygons;
+        } catch {}
+      }
+      let visible = null;
+      if (occlusion) {
+        try {
+          visible = visibleFraction(node, occlusion);
+        } catch {}
+      }
+      let attrs = null;
+      if (attributes) {
+        try {
+          attrs = elementAttributes(node, attributes);
+          if (attributes.fields.includes("selector"))
+            attrs = { selector: a.selector, ...attrs };
+        } catch {}
+      }
+      items.push({
+        annIndex,
+        category: a.category,
+        rect: { left: r.left, top: r.top, right: r.right, bottom: r.bottom },
+        polygons,
+        visible,
+        attributes: attrs,
+        parent: null,
+      });
+      itemNodes.push(node);
+    }
+  });
+
+  // Containment: each item's parent is the nearest annotated ancestor, crossing shadow roots
+  // (a node matched by several rules counts as the first of them)
+  const itemOf = new Map();
+  itemNodes.forEach((node, i) => {
+    if (!itemOf.has(node)) itemOf.set(node, i);
+  });
+  itemNodes.forEach((node, i) => {
+    for (let n = node.parentNode || node.host; n; n = n.parentNode || n.host) {
+      if (itemOf.has(n)) {
+        items[i].parent = itemOf.get(n);
+        break;
+      }
+    }
+  });
+
+  return {
+    items,
+    errors,
+    metrics: {
+      dpr: window.devicePixelRatio || 1,
+      vw: window.innerWidth,
+      vh: window.innerHeight,
+      scrollX: window.scrollX,
+      scrollY: window.scrollY,
+    },
+  };
+}
+
+// "hide" blanks the outlines for a clean shot; "restore" puts back each node's original outline
+function setOutlinesInDocument(mode) {
+  const marks = window.__cocoMarks;
+  if (!marks) return;
+  for (const [node, original] of marks) {
+    if (mode === "hide") node.style.outline = "none";
+    else node.style.outline = original || "";
+  }
+  if (mode === "restore") marks.clear();
+}
+
+// Puppeteer can't pass functions as arguments, so the collector and its helpers are sent as
+// source. Evaluated through CDP, this is not subject to the page's CSP.
+function evaluateCollector(frame, args) {
+  return frame.evaluate(
+    `(${collectInDocument})(${JSON.stringify(
+      args
+    )}, ${elementGeometry}, ${visibleFraction}, ${elementAttributes})`
+  );
+}
+
+const reportedSelectorErrors = new Set();
+
+// annotations: [selector, category][]; outlineCss: category -> css (or null for no outlines).
+// Returns { items: [{ category, rect, polygons, visible, attributes, parent, frame }],
+// metrics: { dpr, vw, vh, scrollX, scrollY } } where rect/polygons are in their frame's viewport
+// coordinates, parent is the index of the nearest enclosing item in the same frame (or null) and
+// frame is the frame's placement on the page (null for the main frame). region (main-frame
+// viewport coordinates) widens or narrows which main-frame elements count as in the shot; iframes
+// keep their viewport.
+async function collectAnnotations(
+  page,
+  annotations,
+  {
+    includeIframes = true,
+    outlineCss = null,
+    segmentation = null,
+    occlusion = null,
+    attributes = null,
+    region = null,
+  }
+) {
+  const args = {
+    annotations: annotations.map(([selector, category]) => ({
+      selector,
+      category,
+      outline: outlineCss ? outlineCss(category) : null,
+    })),
+    segmentation,
+    occlusion,
+    attributes,
+  };
+
+  const mainFrame = page.mainFrame();
+  const frames = includeIframes ? page.frames() : [mainFrame];
+  const items = [];
+  let metrics = null;
+
+  for (const frame of frames) {
+    const isMain = frame === mainFrame;
+    if (!isMain && frame.detached) continue;
+    let res;
+    try {
+      res = await evaluateCollector(frame, isMain ? { ...args, region } : args);
+    } catch (e) {
+      if (isMain) throw e;
+      continue; // frame navigated or detached mid-pass
+    }
+
+    for (const err of res.errors) {
+      if (reportedSelectorErrors.has(err.selector)) continue;
+      reportedSelectorErrors.add(err.selector);
+      console.warn(
+        `⚠️ Invalid annotation selector "${err.selector}": ${err.error}`
+      );
+    }
+    // Parents are indices into this frame's items; make them indices into the combined list
+    const base = items.length;
+    const rebase = (it, frame) => ({
+      ...it,
+      parent: it.parent == null ? null : base + it.parent,
+      frame,
+    });
+    if (isMain) {
+      metrics = res.metrics;
+      items.push(...res.items.map((it) => rebase(it, null)));
+    } else if (res.items.length) {
+      const offset = await computeFrameOffset(frame);
+      if (!offset) continue; // frame not on screen
+      items.push(...res.items.map((it) => rebase(it, offset)));
+    }
+  }
+
+  return { items, metrics };
+}
+
+async function setOutlines(page, mode, { includeIframes = true } = {}) {
+  const frames = includeIframes ? page.frames() : [page.mainFrame()];
+  for (const frame of frames) {
+    if (frame.detached) continue;
+    try {
+      await frame.evaluate(setOutlinesInDocument, mode);
+    } catch {}
+  }
+}
+
+// ----- Timings -----
+function startTimer() {
+  const start = Date.now();
+  let last = start;
+  const phases = {};
+  return {
+    lap(name) {
+      const now = Date.now();
+      phases[name] = (phases[name] || 0) + (now - last);
+      last = now;
+    },
+    done() {
+      return { ...phases, total: Date.now() - start };
+    },
+  };
+}
+
+class CaptureTimings {
+  constructor() {
+    this.shots = 0;
+    this.totals = {};
+  }
+
+  record(phases) {
+    this.shots += 1;
+    for (const [k, v] of Object.entries(phases)) {
+      this.totals[k] = (this.totals[k] || 0) + v;
+    }
+  }
+
+  static format(phases) {
+    return Object.entries(phases)
+      .map(([k, v]) => `${k} ${Math.round(v)}ms`)
+      .join(" · ");
+  }
+
+  summary() {
+    if (!this.shots) return "no shots";
+    const avg = {};
+    for (const [k, v] of Object.entries(this.totals)) avg[k] = v / this.shots;
+    return `${this.shots} shot(s), avg ${CaptureTimings.format(avg)}`;
+  }
+}
+
+module.exports = {
+  collectAnnotations,
+  setOutlines,
+  startTimer,
+  CaptureTimings,
+};
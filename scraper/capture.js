@@ -0,0 +1,637 @@
+// capture.js
+// Capturing a page: target elements drive scrolling, each shot records the visible annotation
+// elements as COCO boxes/masks, then variants and interaction scripts add linked shots.
+
+const fs = require("fs");
+const path = require("path");
+
+const { deepQueryAll, offsetRect, toPageRect } = require("./deepQuery");
+const { toCocoSegmentation } = require("./segmentation");
+const {
+  collectAnnotations,
+  setOutlines,
+  startTimer,
+  CaptureTimings,
+} = require("./batchCapture");
+const { pngSize } = require("./png");
+const { applyVariant } = require("./variants");
+const {
+  matchingScripts,
+  runInteraction,
+  actionsInImage,
+} = require("./interactions");
+const { CaptureRun } = require("./run");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const jitter = (ms, j = 25) =>
+  sleep(Math.max(0, ms + Math.round((Math.random() * 2 - 1) * j)));
+const toSafe = (s) =>
+  String(s)
+    .replace(/[^\w.-]+/g, "_")
+    .slice(0, 120);
+
+// ----- Paint helpers -----
+async function paintSync(page) {
+  await page.evaluate(() => {
+    void document.documentElement.offsetHeight;
+    return new Promise(requestAnimationFrame);
+  });
+}
+async function centerElement(el) {
+  await el.evaluate((node) => {
+    const r = node.getBoundingClientRect();
+    const targetY =
+      window.scrollY + r.top + r.height / 2 - window.innerHeight / 2;
+    window.scrollTo({ top: Math.max(0, targetY), behavior: "instant" });
+  });
+}
+
+// Runs fn with the page's tab in front. shotLock (a workerPool Lock shared by tabs working in
+// parallel) makes them take turns: background tabs do not paint, so requestAnimationFrame waits
+// hang and shots miss the latest layout.
+function inFront(shotLock, page, fn) {
+  if (!shotLock) return fn();
+  return shotLock.run(async () => {
+    await page.bringToFront().catch(() => {});
+    return fn();
+  });
+}
+
+// ----- Area a screenshot covers -----
+// Returns { region, clip }: region in viewport coordinates (null = the viewport itself),
+// clip in document coordinates for page.screenshot (element mode only).
+async function screenshotArea(page, { mode, padding = 0 }, target) {
+  if (mode === "viewport") return { region: null, clip: null };
+  const doc = await page.evaluate(() => ({
+    sx: window.scrollX,
+    sy: window.scrollY,
+    width: document.documentElement.scrollWidth,
+    height: document.documentElement.scrollHeight,
+  }));
+  if (mode === "fullPage") {
+    return {
+      region: {
+        left: -doc.sx,
+        top: -doc.sy,
+        right: doc.width - doc.sx,
+        bottom: doc.height - doc.sy,
+      },
+      clip: null,
+    };
+  }
+
+  // "element": the target's box plus padding, kept inside the document and snapped to whole
+  // CSS pixels the way Puppeteer rounds a clip
+  const box = await target.evaluate((node) => {
+    const r = node.getBoundingClientRect();
+    return { left: r.left, top: r.top, right: r.right, bottom: r.bottom };
+  });
+  const rect = toPageRect(target, box);
+  const x1 = Math.max(0, Math.round(rect.left - padding + doc.sx));
+  const y1 = Math.max(0, Math.round(rect.top - padding + doc.sy));
+  const x2 = Math.min(doc.width, Math.round(rect.right + padding + doc.sx));
+  const y2 = Math.min(doc.height, Math.round(rect.bottom + padding + doc.sy));
+  if (x2 <= x1 || y2 <= y1) return null;
+  return {
+    region: {
+      left: x1 - doc.sx,
+      top: y1 - doc.sy,
+      right: x2 - doc.sx,
+      bottom: y2 - doc.sy,
+    },
+    clip: { x: x1, y: y1, width: x2 - x1, height: y2 - y1 },
+  };
+}
+
+// ----- One shot (show outlines → compute COCO bboxes → screenshot → COCO add) -----
+// Selectors, visibility, rects, polygons and occlusion are resolved in one in-page pass per
+// frame (see batchCapture.js) instead of one round trip per element per step.
+// Returns { imageId, frame } (frame: where the image sits on the page, see actionsInImage), or
+// null when the shot was dropped as a near-duplicate. With opts.shotLock the shot takes its turn
+// in front (see inFront).
+async function captureShot(opts) {
+  return inFront(opts.shotLock, opts.page, () => takeShot(opts));
+}
+
+async function takeShot({
+  page,
+  pageLabel,
+  shotIndex,
+  annotations,
+  includeIframes,
+  outlineStyles,
+  keepOutlines,
+  delayMs,
+  outputDir,
+  coco,
+  segmentation = null, // { arcSegments, svgSamples } to trace polygon masks; null = bboxes only
+  occlusion = null, // { grid, minVisibleFraction, dropTruncated }; null = no hit-testing
+  attributes = null, // { fields, maxTextLength, attrs } element attributes stored per annotation
+  onShot, // optional ({ imageId, fileName }) => void, called once the shot is in COCO
+  timings = null, // optional CaptureTimings collecting per-phase durations
+  screenshot = { mode: "viewport", padding: 0 }, // "viewport" | "fullPage" | "element"
+  target = null, // element handle the "element" mode crops to
+  dedupe = null, // optional NearDuplicateIndex; near-duplicate shots are left out of COCO
+  imageExtra = {}, // fields stored on the COCO image as-is (e.g. device)
+  variant = null, // { name, of }: this shot renders variant "name" of image "of"
+  transition = null, // { from, name, actions }: this shot follows actions taken on shot "from"
+  crops = null, // optional CropWriter cutting each kept annotation out of the screenshot
+  preview = null, // optional PreviewRenderer; the page is then left unoutlined
+  requestPolicy = null, // optional RequestPolicy; pauses animations and video before the shot
+  run = null, // optional CaptureRun receiving shotSaved / annotationAdded events
+  fileNames = null, // optional Set of names taken in outputDir, shared by parallel tabs
+}) {
+  const OUTLINE_WIDTH = outlineStyles.width;
+  const OUTLINE_STYLE = outlineStyles.style;
+  const colorMap = outlineStyles.colorMap;
+  const timer = startTimer();
+  await requestPolicy?.freeze(page);
+
+  let area = { region: null, clip: null };
+  if (screenshot.mode !== "viewport") {
+    area =
+      screenshot.mode === "element" && !target
+        ? null
+        : await screenshotArea(page, screenshot, target).catch(() => null);
+    if (!area) {
+      console.warn(
+        `⚠️ No ${screenshot.mode} area to capture, using the viewport`
+      );
+      area = { region: null, clip: null };
+    }
+  }
+
+  // Gather visible annotation elements (and outline them for the preview) in one pass
+  const { items, metrics } = await collectAnnotations(page, annotations, {
+    includeIframes,
+    outlineCss: preview
+      ? null
+      : (cat) => `${OUTLINE_WIDTH} ${OUTLINE_STYLE} ${colorMap.get(cat)}`,
+    segmentation,
+    occlusion,
+    attributes,
+    region: area.region,
+  });
+  const { dpr, vw, vh, scrollX, scrollY } = metrics;
+  const region = area.region || { left: 0, top: 0, right: vw, bottom: vh };
+  timer.lap("collect");
+
+  await paintSync(page);
+  await jitter(delayMs);
+  timer.lap("outline");
+
+  // Compute bboxes, relative to the captured region's top-left corner
+  const clipToRegion = (r, g) => {
+    const x1 = Math.max(g.left, Math.min(g.right, r.left));
+    const y1 = Math.max(g.top, Math.min(g.bottom, r.top));
+    const x2 = Math.max(g.left, Math.min(g.right, r.right));
+    const y2 = Math.max(g.top, Math.min(g.bottom, r.bottom));
+    const w = Math.max(0, x2 - x1);
+    const h = Math.max(0, y2 - y1);
+    return { x: x1 - g.left, y: y1 - g.top, w, h };
+  };
+
+  const cocoBoxes = [];
+  let droppedOccluded = 0;
+  let uncheckedOcclusion = 0;
+  for (const [index, item] of items.entries()) {
+    const frameRect = item.rect;
+    // Elements inside iframes are shifted by (and cut to) their frame's place on the page
+    const rect = item.frame ? offsetRect(item.frame, frameRect) : frameRect;
+    const c = clipToRegion(rect, region);
+    if (!(c.w > 0 && c.h > 0)) continue;
+
+    // Cut at the edge of the shot (or of its iframe)?
+    const truncated =
+      c.w < frameRect.right - frameRect.left - 0.5 ||
+      c.h < frameRect.bottom - frameRect.top - 0.5;
+    if (truncated && occlusion?.dropTruncated) continue;
+
+    // Share of the on-screen box not covered by other elements; boxes off screen cannot be
+    // hit-tested (fullPage / element shots), so they are kept unchecked
+    const visible = item.visible;
+    if (occlusion && visible == null) uncheckedOcclusion += 1;
+    if (visible != null && visible < occlusion.minVisibleFraction) {
+      droppedOccluded += 1;
+      continue;
+    }
+
+    // Polygon mask from the element's real shape; falls back to the bbox when tracing fails
+    const seg =
+      item.polygons &&
+      toCocoSegmentation(item.polygons, {
+        vw,
+        vh,
+        dpr,
+        frame: item.frame,
+        region,
+      });
+    cocoBoxes.push({
+      index,
+      cat: item.category,
+      bboxPx: [c.x * dpr, c.y * dpr, c.w * dpr, c.h * dpr],
+      segmentation: seg?.segmentation,
+      area: seg?.area,
+      extra: {
+        truncated,
+        ...(visible != null
+          ? { visible_fraction: Math.round(visible * 1000) / 1000 }
+          : {}),
+        ...(item.attributes ? { attributes: item.attributes } : {}),
+      },
+    });
+  }
+  if (droppedOccluded)
+    console.log(
+      `   ↳ dropped ${droppedOccluded} mostly occluded annotation(s)`
+    );
+  if (uncheckedOcclusion)
+    console.log(
+      `   ↳ ${uncheckedOcclusion} annotation(s) outside the viewport not checked for occlusion`
+    );
+
+  // Optionally clear outlines
+  if (!keepOutlines) {
+    await setOutlines(page, "hide", { includeIframes });
+    await paintSync(page);
+  }
+  timer.lap("bbox");
+
+  // Screenshot
+  const stem = `${toSafe(pageLabel)}__${shotIndex}${
+    variant ? `__${variant.name}` : ""
+  }`;
+  let filename = `${stem}.png`;
+  for (let n = 2; fileNames?.has(filename); n++) filename = `${stem}_${n}.png`;
+  fileNames?.add(filename);
+  const filepath = path.join(outputDir, filename);
+  // A region without a clip is the whole page
+  const png = await page.screenshot(
+    area.clip
+      ? { path: filepath, clip: area.clip }
+      : { path: filepath, fullPage: area.region != null }
+  );
+  console.log(`Saved: ${filepath}`);
+  timer.lap("screenshot");
+
+  // Restore outlines if we cleared them
+  if (!keepOutlines) {
+    await setOutlines(page, "restore", { includeIframes });
+    await paintSync(page);
+  }
+  await jitter(delayMs);
+  timer.lap("restore");
+
+  // Near-identical to an earlier shot: keep it out of COCO (and off disk when skipping)
+  let phash = null;
+  if (dedupe) {
+    const { hash, duplicate } = dedupe.check(Buffer.from(png), filename);
+    timer.lap("dedupe");
+    if (duplicate) {
+      if (dedupe.action === "skip") {
+        try {
+          fs.unlinkSync(filepath);
+        } catch {}
+      }
+      console.log(
+        `♻️  Near-duplicate of ${duplicate.fileName} (distance ${
+          duplicate.distance
+        }), ${dedupe.action === "skip" ? "skipped" : "flagged"}`
+      );
+      timings?.record(timer.done());
+      return null;
+    }
+    phash = hash;
+  }
+
+  // COCO entries (image size as captured: viewport, whole page or element crop)
+  const { width, height } = pngSize(Buffer.from(png));
+
+  // Emulated mobile pages can be zoomed out to fit the layout: map CSS px × DPR onto the pixels
+  // actually captured
+  const sx = width / ((region.right - region.left) * dpr);
+  const sy = height / ((region.bottom - region.top) * dpr);
+  const frame = {
+    left: region.left + scrollX,
+    top: region.top + scrollY,
+    scaleX: dpr * sx,
+    scaleY: dpr * sy,
+    width,
+    height,
+  };
+
+  // IDs are handed out synchronously, so tabs capturing in parallel never share one
+  const imageId = coco.addImage({
+    fileName: path.basename(filepath),
+    width,
+    height,
+    extra: {
+      ...imageExtra,
+      ...(phash ? { phash } : {}),
+      ...(variant ? { variant: variant.name, variant_of: variant.of } : {}),
+      ...(transition
+        ? {
+            transition: {
+              from: transition.from.imageId,
+              interaction: transition.name,
+              actions: actionsInImage(
+                transition.actions,
+                transition.from.frame
+              ),
+            },
+          }
+        : {}),
+    },
+  });
+
+  const rescale = Math.abs(sx - 1) > 0.01 || Math.abs(sy - 1) > 0.01;
+  const scaled = (b) =>
+    rescale
+      ? {
+          bbox: b.bboxPx.map((v, i) => v * (i % 2 ? sy : sx)),
+          segmentation: b.segmentation?.map((poly) =>
+            poly.map((v, i) => Math.round(v * (i % 2 ? sy : sx) * 100) / 100)
+          ),
+          area: b.area != null ? b.area * sx * sy : null,
+        }
+      : { bbox: b.bboxPx, segmentation: b.segmentation, area: b.area };
+
+  // Outer elements first, so each annotation can point at its nearest kept ancestor
+  const depth = (i) => {
+    let d = 0;
+    for (let p = items[i].parent; p != null; p = items[p].parent) d += 1;
+    return d;
+  };
+  const annIdByItem = new Map();
+  const cropAnns = [];
+  const byDepth = [...cocoBoxes].sort(
+    (a, b) => depth(a.index) - depth(b.index)
+  );
+  for (const b of byDepth) {
+    let parentId = null;
+    for (let p = items[b.index].parent; p != null; p = items[p].parent) {
+      if (annIdByItem.has(p)) {
+        parentId = annIdByItem.get(p);
+        break;
+      }
+    }
+    const geom = scaled(b);
+    const annId = coco.addAnnotation({
+      imageId,
+      categoryName: b.cat,
+      ...geom,
+      extra: { ...b.extra, parent_id: parentId },
+    });
+    if (annId) {
+      annIdByItem.set(b.index, annId);
+      cropAnns.push({ id: annId, category: b.cat, bbox: geom.bbox });
+      run?.emit("annotationAdded", {
+        id: annId,
+        imageId,
+        category: b.cat,
+        bbox: coco.annotations[coco.annotations.length - 1].bbox,
+        parentId,
+      });
+    }
+  }
+  timer.lap("coco");
+
+  if (crops && cropAnns.length) {
+    await crops.addImage({
+      png: Buffer.from(png),
+      imageId,
+      fileName: path.basename(filepath),
+      annotations: cropAnns,
+    });
+    timer.lap("crops");
+  }
+  // Drawn from the COCO records, so it shows exactly what was saved
+  if (preview) {
+    await preview
+      .render({
+        png: Buffer.from(png),
+        fileName: path.basename(filepath),
+        width,
+        height,
+        annotations: coco.annotations.filter((a) => a.image_id === imageId),
+        categories: coco.categories,
+      })
+      .catch((e) => console.warn("⚠️ Preview failed:", e.message));
+    // The helper tab came to the front; a background tab would stop painting
+    await page.bringToFront().catch(() => {});
+    timer.lap("preview");
+  }
+  if (onShot) onShot({ imageId, fileName: path.basename(filepath) });
+  run?.emit("shotSaved", {
+    imageId,
+    fileName: path.basename(filepath),
+    path: filepath,
+    width,
+    height,
+    pageLabel,
+    variant: variant?.name ?? null,
+    transition: transition
+      ? { from: transition.from.imageId, interaction: transition.name }
+      : null,
+  });
+
+  const phases = timer.done();
+  timings?.record(phases);
+  console.log(`   ⏱ ${CaptureTimings.format(phases)}`);
+  return { imageId, frame };
+}
+
+// ----- One capture cycle: the shot, then the same scroll position under each variant -----
+// Variant images point at the base image with variant_of so dataset splits can keep them
+// together. They are never deduplicated: they are meant to look alike. Resolves to the base shot.
+// The whole cycle (shot, each variant applied, settled, shot and reverted) is one turn in front.
+async function captureCycle(opts) {
+  return inFront(opts.shotLock, opts.page, () => runCycle(opts));
+}
+
+async function runCycle({ run = new CaptureRun(), ...opts }) {
+  const { page, variants = [] } = opts;
+  const shot = await takeShot({ ...opts, run });
+  if (!shot || !variants.length) return shot;
+
+  const base = await page.evaluate(() => ({
+    dpr: window.devicePixelRatio || 1,
+    vw: window.innerWidth,
+    vh: window.innerHeight,
+    x: window.scrollX,
+    y: window.scrollY,
+  }));
+  const restoreScroll = () =>
+    page.evaluate(
+      ({ x, y }) => window.scrollTo({ left: x, top: y, behavior: "instant" }),
+      base
+    );
+
+  for (const v of variants) {
+    if (run.stopped) break;
+    let revert = null;
+    try {
+      revert = await applyVariant(page, v, base);
+      await restoreScroll();
+      await paintSync(page);
+      await takeShot({
+        ...opts,
+        run,
+        dedupe: null,
+        transition: null,
+        variant: { name: v.name, of: shot.imageId },
+      });
+    } catch (e) {
+      run.failure(`Variant "${v.name}" failed: ${e.message}`);
+    } finally {
+      if (revert) await revert();
+      await restoreScroll().catch(() => {});
+    }
+  }
+  await paintSync(page);
+  return shot;
+}
+
+// ----- Capture routine on a page (targets + annotations → screenshots + COCO) -----
+async function captureOnPage({
+  page,
+  pageLabel, // "home" or "post_#"
+  targets, // array of CSS selectors (drive scrolling)
+  annotations, // array of [selector, category]
+  maxShots, // total screenshots to take on this page
+  infScroll, // {enabled, step, sleepMs, stableRounds}
+  includeIframes,
+  interactions = [], // scripts run on matching targets (see interactions.js)
+  run = new CaptureRun(), // pause/stop control and events; a standalone call just runs
+  ...cycleOpts // outlineStyles, keepOutlines, coco, segmentation, ...: forwarded to captureCycle
+}) {
+  // Collect candidate target elements (with optional infinite scroll)
+  let candidateEls = [];
+  const collectOnce = async () => {
+    const seen = new Set();
+    const pushUnique = (arr) => {
+      for (const e of arr) {
+        if (!seen.has(e)) {
+          seen.add(e);
+          candidateEls.push(e);
+        }
+      }
+    };
+    for (const sel of targets) {
+      let found = await deepQueryAll(page, sel, { includeIframes }).catch(
+        () => []
+      );
+      if (!found.length) {
+        try {
+          found = await page.$$(`pierce/${sel}`);
+        } catch {}
+      }
+      pushUnique(found);
+    }
+  };
+
+  await collectOnce();
+  let stable = 0;
+  while (
+    infScroll.enabled &&
+    candidateEls.length < maxShots &&
+    stable < infScroll.stableRounds
+  ) {
+    if (!(await run.proceed())) {
+      console.log("🛑 Stopped by user");
+      return;
+    }
+
+    await page.evaluate(
+      (vh) => window.scrollBy(0, window.innerHeight * vh),
+      infScroll.step
+    );
+    await sleep(infScroll.sleepMs);
+    const before = candidateEls.length;
+    candidateEls = [];
+    await collectOnce();
+    if (candidateEls.length > before) stable = 0;
+    else stable += 1;
+  }
+
+  const take = Math.min(maxShots, candidateEls.length);
+  let shotCounter = 0;
+
+  for (let i = 0; i < take; i++) {
+    if (!(await run.proceed())) {
+      console.log("🛑 Stopped by user");
+      return;
+    }
+
+    const targetEl = candidateEls[i];
+    // Shots after interaction steps point back at the last shot kept before them
+    let lastShot = null;
+    const shoot = async (transition = null) => {
+      shotCounter += 1;
+      const shot = await captureCycle({
+        page,
+        pageLabel,
+        shotIndex: shotCounter,
+        annotations,
+        includeIframes,
+        target: targetEl,
+        ...cycleOpts,
+        run,
+        transition:
+          transition?.actions.length && lastShot
+            ? { from: lastShot, ...transition }
+            : null,
+      });
+      if (shot) lastShot = shot;
+      return shot;
+    };
+    try {
+      await centerElement(targetEl);
+      await shoot();
+
+      // Interaction scripts for this kind of component, capturing after the steps that ask
+      for (const script of await matchingScripts(targetEl, interactions)) {
+        const results = await runInteraction({
+          page,
+          component: targetEl,
+          script,
+          capture: (actions) => shoot({ name: script.name, actions }),
+          isStopped: () => run.stopped,
+          inFront: (fn) => inFront(cycleOpts.shotLock, page, fn),
+        });
+        for (const r of results.filter((r) => r.error)) {
+          run.emit("interactionFailed", {
+            interaction: script.name,
+            pageLabel,
+            step: r.step,
+            action: r.action,
+            selector: r.selector,
+            error: r.error,
+            fatal: r.fatal,
+          });
+          if (r.fatal)
+            run.failure(
+              `Interaction "${script.name}" step ${r.step} (${r.action}) failed: ${r.error}`
+            );
+        }
+      }
+
+      // Cleanup
+      try {
+        await targetEl.dispose();
+      } catch {}
+    } catch (e) {
+      run.failure(`Capture error on target: ${e.message}`);
+      try {
+        await targetEl.dispose();
+      } catch {}
+    }
+  }
+}
+
+module.exports = {
+  paintSync,
+  captureShot,
+  captureCycle,
+  captureOnPage,
+};
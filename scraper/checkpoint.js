@@ -0,0 +1,139 @@
+// checkpoint.js
+// Run state persisted as the crawl goes (pages captured, collected links, label counters, COCO
+// images/annotations) so an interrupted run can resume without duplicating images or reusing IDs.
+
+const path = require("path");
+const fs = require("fs");
+
+const STATE_VERSION = 1;
+
+class RunCheckpoint {
+  constructor({ statePath, coco, startUrl, everyShots = 1 }) {
+    this.statePath = statePath; // null = keep state in memory only
+    this.coco = coco;
+    this.everyShots = Math.max(1, everyShots);
+    this.shotsSinceSave = 0;
+    this.state = {
+      version: STATE_VERSION,
+      startUrl,
+      counters: {}, // [label prefix +] page type -> last label number handed out
+      // url, or "profile|url" under device emulation -> page record
+      pages: {}, // { type, label, captured, imageIds[], links{ruleIndex: urls[]} }
+    };
+  }
+
+  // Load a previous state file. Pages whose capture never finished are dropped, with their
+  // COCO images/annotations; returns the file names of those images so they can be deleted.
+  resume() {
+    if (!this.statePath || !fs.existsSync(this.statePath)) return null;
+    const saved = JSON.parse(fs.readFileSync(this.statePath, "utf8"));
+    if (saved.version !== STATE_VERSION)
+      throw new Error(
+        `Unsupported state file version ${saved.version} in ${this.statePath}`
+      );
+    if (saved.startUrl !== this.state.startUrl)
+      console.warn(
+        `⚠️ State file was recorded for ${saved.startUrl}, resuming with ${this.state.startUrl}`
+      );
+
+    this.coco.restoreState(saved.coco);
+    this.state.counters = saved.counters || {};
+    this.state.pages = saved.pages || {};
+
+    const dropIds = [];
+    for (const p of Object.values(this.state.pages)) {
+      if (p.captured) continue;
+      dropIds.push(...p.imageIds);
+      p.imageIds = [];
+    }
+    const dropped = this.coco.removeImages(dropIds);
+    return {
+      capturedPages: this.capturedCount(),
+      images: this.coco.images.length,
+      droppedFiles: dropped.map((img) => img.file_name),
+    };
+  }
+
+  // keyPrefix narrows the count to one device profile's pages (see pageKey in the runner)
+  capturedCount(keyPrefix = "") {
+    return Object.entries(this.state.pages).filter(
+      ([key, p]) => p.captured && key.startsWith(keyPrefix)
+    ).length;
+  }
+
+  isCaptured(url) {
+    return !!this.state.pages[url]?.captured;
+  }
+
+  // Label for a page: reuse the one from an earlier attempt, else hand out the next one.
+  // Each prefix (e.g. a device profile's "iphone__") numbers its pages separately.
+  labelFor(url, type, prefix = "") {
+    const known = this.state.pages[url];
+    if (known) return known.label;
+    const counter = `${prefix}${type}`;
+    const n = (this.state.counters[counter] || 0) + 1;
+    this.state.counters[counter] = n;
+    return `${counter}_${n}`;
+  }
+
+  beginPage(url, { type, label }) {
+    const p = this.state.pages[url];
+    if (p) {
+      p.type = type;
+      p.label = label;
+      return;
+    }
+    this.state.pages[url] = {
+      type,
+      label,
+      captured: false,
+      imageIds: [],
+      links: {},
+    };
+  }
+
+  recordShot(url, imageId) {
+    const p = this.state.pages[url];
+    if (p) p.imageIds.push(imageId);
+    this.shotsSinceSave += 1;
+    if (this.shotsSinceSave >= this.everyShots) this.saveSync();
+  }
+
+  endPage(url) {
+    const p = this.state.pages[url];
+    if (p) p.captured = true;
+    this.saveSync();
+  }
+
+  getLinks(url, ruleIndex) {
+    return this.state.pages[url]?.links?.[ruleIndex] || null;
+  }
+
+  setLinks(url, ruleIndex, links) {
+    const p = this.state.pages[url];
+    if (!p) return;
+    p.links[ruleIndex] = links;
+    this.saveSync();
+  }
+
+  // Atomic write: a crash mid-save never leaves a truncated state file behind
+  saveSync() {
+    this.shotsSinceSave = 0;
+    if (!this.statePath) return;
+    const outDir = path.dirname(this.statePath);
+    if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+    const tmp = `${this.statePath}.tmp`;
+    fs.writeFileSync(
+      tmp,
+      JSON.stringify({
+        ...this.state,
+        updatedAt: new Date().toISOString(),
+        coco: this.coco.toState(),
+      }),
+      "utf8"
+    );
+    fs.renameSync(tmp, this.statePath);
+  }
+}
+
+module.exports = { RunCheckpoint };
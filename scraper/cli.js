@@ -0,0 +1,212 @@
+// cli.js
+// Command-line flags for the capture runner, plus the exit codes it reports.
+
+const { SCREENSHOT_MODES } = require("./crawlGraph");
+
+const EXIT_CODES = {
+  OK: 0, // every page captured
+  FATAL: 1, // config error, browser launch failure, crash
+  USAGE: 2, // bad command-line flags
+  PARTIAL: 3, // run finished but some pages/targets failed
+};
+
+const USAGE = `Usage: node scraper/reddit_screenshot_fullscreen_targets_annotations_deep.js [options]
+
+Options:
+  -c, --config <file>          Config file (default: ./config.json)
+  -o, --out <dir>              Output directory (overrides "outputDir")
+  -u, --url <url>              Start URL (overrides "targetUrl")
+      --headless               Run without a visible browser window
+      --no-headless            Show the browser window (default)
+      --auto-start             Start capturing as soon as the page is ready (default)
+  -i, --interactive            Wait for the "s" key (or POST /start); enable "p"/"e" keys
+      --control-port <n>       Serve the control API on this port (enables "control")
+      --max-shots <n>          Max screenshots per page, for every page type
+      --max-links <n>          Max links followed per link rule, for every page type
+      --max-depth <n>          Max link depth from the start page (overrides crawl.maxDepth)
+      --max-pages <n>          Max pages visited in total (overrides crawl.maxPages)
+      --concurrency <n>        Tabs visiting links in parallel (overrides crawl.concurrency)
+      --max-posts <n>          Max links followed into "post" pages
+      --max-home-shots <n>     Max screenshots on the "home" page
+      --max-shots-per-post <n> Max screenshots per "post" page
+      --delay-ms <n>           Delay around each capture (overrides "delayMs")
+      --screenshot <mode>      viewport | fullPage | element, for every page type
+      --resume                 Continue from the state file of an interrupted run
+      --state <file>           State file (default: <out>/run.state.json)
+      --no-checkpoint          Do not write a state file
+      --record                 Save every network response to the archive (archive.dir)
+      --replay                 Serve responses from the archive instead of the network
+      --archive <dir>          Archive directory (overrides "archive.dir")
+      --dry-run                Report selector matches on each page type; capture nothing
+  -h, --help                   Show this help
+
+Exit codes:
+  0  success
+  1  fatal error (config, browser, crash)
+  2  invalid command-line usage
+  3  partial failure (some pages or targets could not be captured;
+     with --dry-run: some selectors failed or matched nothing)`;
+
+class UsageError extends Error {}
+
+const VALUE_FLAGS = {
+  "-c": "configPath",
+  "--config": "configPath",
+  "-o": "outputDir",
+  "--out": "outputDir",
+  "-u": "targetUrl",
+  "--url": "targetUrl",
+  "--max-shots": "maxShots",
+  "--max-links": "maxLinks",
+  "--max-depth": "maxDepth",
+  "--max-pages": "maxPages",
+  "--concurrency": "concurrency",
+  "--max-posts": "maxPosts",
+  "--max-home-shots": "maxHomeShots",
+  "--max-shots-per-post": "maxShotsPerPost",
+  "--delay-ms": "delayMs",
+  "--screenshot": "screenshotMode",
+  "--state": "statePath",
+  "--archive": "archiveDir",
+  "--control-port": "controlPort",
+};
+const NUMERIC_OPTS = new Set([
+  "maxShots",
+  "maxLinks",
+  "maxDepth",
+  "maxPages",
+  "concurrency",
+  "maxPosts",
+  "maxHomeShots",
+  "maxShotsPerPost",
+  "delayMs",
+  "controlPort",
+]);
+
+function parseArgs(argv) {
+  const opts = {
+    configPath: null,
+    outputDir: null,
+    targetUrl: null,
+    headless: null, // null = not given on the command line
+    interactive: false,
+    maxShots: null,
+    maxLinks: null,
+    maxDepth: null,
+    maxPages: null,
+    concurrency: null,
+    maxPosts: null,
+    maxHomeShots: null,
+    maxShotsPerPost: null,
+    delayMs: null,
+    screenshotMode: null,
+    resume: false,
+    statePath: null,
+    noCheckpoint: false,
+    dryRun: false,
+    archiveMode: null, // "record" | "replay"
+    archiveDir: null,
+    controlPort: null,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let inlineValue = null;
+    const eq = arg.indexOf("=");
+    if (arg.startsWith("--") && eq > 0) {
+      inlineValue = arg.slice(eq + 1);
+      arg = arg.slice(0, eq);
+    }
+
+    if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (arg === "--headless") opts.headless = true;
+    else if (arg === "--no-headless") opts.headless = false;
+    else if (arg === "--auto-start") opts.interactive = false;
+    else if (arg === "-i" || arg === "--interactive") opts.interactive = true;
+    else if (arg === "--resume") opts.resume = true;
+    else if (arg === "--no-checkpoint") opts.noCheckpoint = true;
+    else if (arg === "--dry-run") opts.dryRun = true;
+    else if (arg === "--record" || arg === "--replay") {
+      const mode = arg.slice(2);
+      if (opts.archiveMode && opts.archiveMode !== mode)
+        throw new UsageError(`--record and --replay cannot be combined`);
+      opts.archiveMode = mode;
+    } else if (VALUE_FLAGS[arg]) {
+      const key = VALUE_FLAGS[arg];
+      const value = inlineValue != null ? inlineValue : argv[++i];
+      if (value == null || value === "")
+        throw new UsageError(`Missing value for ${arg}`);
+      if (NUMERIC_OPTS.has(key)) {
+        const n = Number(value);
+        if (!Number.isInteger(n) || n < 0)
+          throw new UsageError(`${arg} expects a non-negative integer`);
+        if (key === "concurrency" && n < 1)
+          throw new UsageError(`${arg} expects a positive integer`);
+        if (key === "controlPort" && n > 65535)
+          throw new UsageError(`${arg} expects a port number up to 65535`);
+        opts[key] = n;
+      } else if (
+        key === "screenshotMode" &&
+        !SCREENSHOT_MODES.includes(value)
+      ) {
+        throw new UsageError(
+          `${arg} expects one of: ${SCREENSHOT_MODES.join(", ")}`
+        );
+      } else {
+        opts[key] = value;
+      }
+    } else {
+      throw new UsageError(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return opts;
+}
+
+// CLI flags win over config.json (applied to the normalized crawl graph)
+function applyCliOverrides(cfg, opts) {
+  const graph = cfg.graph;
+  const pages = Object.values(graph.pages);
+  const links = pages.flatMap((p) => p.links);
+
+  if (opts.outputDir != null) cfg.outputDir = opts.outputDir;
+  if (opts.targetUrl != null) graph.startUrl = opts.targetUrl;
+  if (opts.headless != null) cfg.headless = opts.headless;
+  if (opts.delayMs != null) cfg.delayMs = opts.delayMs;
+  if (opts.archiveMode != null) cfg.archive.mode = opts.archiveMode;
+  if (opts.archiveDir != null) cfg.archive.dir = opts.archiveDir;
+  if (opts.controlPort != null)
+    cfg.control = {
+      ...(cfg.control || { host: "127.0.0.1", token: null }),
+      port: opts.controlPort,
+    };
+  if (opts.noCheckpoint)
+    cfg.checkpoint = { ...(cfg.checkpoint || {}), enabled: false };
+  if (opts.maxDepth != null) graph.maxDepth = opts.maxDepth;
+  if (opts.maxPages != null) graph.maxPages = opts.maxPages;
+  if (opts.concurrency != null) graph.concurrency = opts.concurrency;
+  if (opts.maxShots != null) pages.forEach((p) => (p.maxShots = opts.maxShots));
+  if (opts.maxLinks != null) links.forEach((l) => (l.maxLinks = opts.maxLinks));
+  if (opts.screenshotMode != null)
+    pages.forEach((p) => (p.screenshot.mode = opts.screenshotMode));
+
+  // Shortcuts for the home → post setup
+  if (opts.maxPosts != null)
+    links
+      .filter((l) => l.to === "post")
+      .forEach((l) => (l.maxLinks = opts.maxPosts));
+  if (opts.maxHomeShots != null && graph.pages.home)
+    graph.pages.home.maxShots = opts.maxHomeShots;
+  if (opts.maxShotsPerPost != null && graph.pages.post)
+    graph.pages.post.maxShots = opts.maxShotsPerPost;
+  return cfg;
+}
+
+module.exports = {
+  EXIT_CODES,
+  USAGE,
+  UsageError,
+  parseArgs,
+  applyCliOverrides,
+};
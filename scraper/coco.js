@@ -36,23 +36,35 @@ class CocoWriter {
     this.lastAnnId = 0;
   }
 
-  addImage({ fileName, width, height }) {
+  // extra: non-standard fields stored on the image as-is (e.g. phash)
+  addImage({ fileName, width, height, extra = {} }) {
     const id = ++this.lastImageId;
     this.images.push({
       id,
       file_name: fileName,
       width,
       height,
+      ...extra,
     });
     return id;
   }
 
-  addAnnotation({ imageId, categoryName, bbox, area = null, iscrowd = 0 }) {
+  // segmentation: COCO polygons ([[x1, y1, x2, y2, ...], ...]); area defaults to the bbox area
+  // extra: non-standard fields stored on the annotation as-is (e.g. truncated, visible_fraction)
+  addAnnotation({
+    imageId,
+    categoryName,
+    bbox,
+    area = null,
+    iscrowd = 0,
+    segmentation = [],
+    extra = {},
+  }) {
     const category_id = this.catNameToId.get(categoryName);
-    if (!category_id) return; // unknown category: ignore
+    if (!category_id) return null; // unknown category: ignore
 
     const [x, y, w, h] = bbox.map((v) => Math.max(0, Math.round(v)));
-    if (w <= 0 || h <= 0) return;
+    if (w <= 0 || h <= 0) return null;
 
     const id = ++this.lastAnnId;
     this.annotations.push({
@@ -62,8 +74,52 @@ class CocoWriter {
       bbox: [x, y, w, h],
       area: area != null ? Math.round(area) : Math.round(w * h),
       iscrowd,
-      segmentation: [],
+      segmentation: segmentation || [],
+      ...extra,
     });
+    return id;
+  }
+
+  // Drop images (and their annotations); returns the removed image records
+  removeImages(imageIds) {
+    const drop = new Set(imageIds);
+    if (!drop.size) return [];
+    const removed = this.images.filter((img) => drop.has(img.id));
+    this.images = this.images.filter((img) => !drop.has(img.id));
+    this.annotations = this.annotations.filter((a) => !drop.has(a.image_id));
+    return removed;
+  }
+
+  // Snapshot used by checkpoints (see checkpoint.js)
+  toState() {
+    return {
+      categories: this.categories,
+      images: this.images,
+      annotations: this.annotations,
+      lastImageId: this.lastImageId,
+      lastAnnId: this.lastAnnId,
+    };
+  }
+
+  restoreState(state) {
+    // Saved categories keep their ids; ones new to this config are appended after them
+    const categories = state.categories.map((c) => ({ ...c }));
+    const catNameToId = new Map(categories.map((c) => [c.name, c.id]));
+    let nextId = categories.reduce((m, c) => Math.max(m, c.id), 0) + 1;
+    for (const c of this.categories) {
+      if (catNameToId.has(c.name)) continue;
+      categories.push({ ...c, id: nextId });
+      catNameToId.set(c.name, nextId);
+      nextId += 1;
+    }
+    this.categories = categories;
+    this.catNameToId = catNameToId;
+
+    // Counters never go backwards, even if images were dropped since
+    this.images = state.images;
+    this.annotations = state.annotations;
+    this.lastImageId = state.lastImageId;
+    this.lastAnnId = state.lastAnnId;
   }
 
   toJSON() {
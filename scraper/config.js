@@ -0,0 +1,74 @@
+// config.js
+// Config loading and validation: config.json (or a plain object) → the normalized options the
+// crawler runs on. Problems are thrown as ConfigError.
+
+const fs = require("fs");
+const path = require("path");
+
+const { ConfigError } = require("./errors");
+const { normalizeCrawlGraph } = require("./crawlGraph");
+const { dedupeOptions } = require("./dedupe");
+const { attributeOptions } = require("./attributes");
+const { deviceProfiles } = require("./devices");
+const { variantOptions } = require("./variants");
+const { cropOptions } = require("./crops");
+const { previewOptions } = require("./preview");
+const { archiveOptions } = require("./netArchive");
+const { requestPolicyOptions } = require("./requestPolicy");
+const { controlOptions } = require("./controlServer");
+const { exportOptions } = require("./exporters");
+
+// Marks configs that went through normalizeConfig, so passing one again is a no-op
+const NORMALIZED = Symbol("normalized config");
+
+// Page types, link rules and their defaults (supports the old home/post schema), dedupe, attribute,
+// device, variant, crop, preview, network archive, request policy, control API and export options.
+// Returns a new object; the caller's config is left as it was.
+function normalizeConfig(raw) {
+  if (raw?.[NORMALIZED]) return raw;
+  if (!raw || typeof raw !== "object" || Array.isArray(raw))
+    throw new ConfigError("Config must be an object.");
+  const cfg = { ...raw };
+  try {
+    cfg.graph = normalizeCrawlGraph(cfg);
+    cfg.dedupe = dedupeOptions(cfg.dedupe);
+    cfg.attributes = attributeOptions(cfg.attributes);
+    cfg.devices = deviceProfiles(cfg.devices);
+    cfg.variants = variantOptions(cfg.variants);
+    cfg.crops = cropOptions(cfg.crops);
+    cfg.preview = previewOptions(cfg.preview);
+    cfg.archive = archiveOptions(cfg.archive);
+    cfg.requestPolicy = requestPolicyOptions(cfg.requestPolicy);
+    cfg.control = controlOptions(cfg.control);
+    cfg.exports = exportOptions(cfg.exports);
+  } catch (e) {
+    throw new ConfigError(e.message, { cause: e });
+  }
+  Object.defineProperty(cfg, NORMALIZED, { value: true });
+  return cfg;
+}
+
+function loadConfig(configPath) {
+  if (!fs.existsSync(configPath))
+    throw new ConfigError(`Missing config file at ${configPath}`);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (e) {
+    throw new ConfigError(`Failed to parse ${configPath}: ${e.message}`, {
+      cause: e,
+    });
+  }
+  try {
+    return normalizeConfig(raw);
+  } catch (e) {
+    throw new ConfigError(`${path.basename(configPath)}: ${e.message}`, {
+      cause: e,
+    });
+  }
+}
+
+module.exports = {
+  normalizeConfig,
+  loadConfig,
+};
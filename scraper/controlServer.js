@@ -0,0 +1,78 @@
+// controlServer.js
+// Local HTTP control API for a capture run: POST /start, /pause, /resume, /stop and GET /status,
+// all answered with JSON. Replaces in-page hotkeys, which fired while typing into the page.
+
+const http = require("http");
+
+const SIGNALS = ["start", "pause", "resume", "stop"];
+
+// Config block → options, or null when disabled (--control-port enables it)
+function controlOptions(cfg = {}) {
+  if (!cfg || cfg.enabled !== true) return null;
+  const opts = {
+    host: cfg.host || "127.0.0.1",
+    port: cfg.port ?? 7878,
+    token: cfg.token || null, // required as "Authorization: Bearer <token>" when set
+  };
+  if (!Number.isInteger(opts.port) || opts.port < 0 || opts.port > 65535)
+    throw new Error(`"control.port" must be an integer from 0 to 65535.`);
+  return opts;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+// onSignal(name) → { ok, state, message }; getStatus() → plain object. Resolves to the listening
+// server once it is bound (rejects when the port is taken).
+function startControlServer({ host, port, token }, { onSignal, getStatus }) {
+  const server = http.createServer((req, res) => {
+    if (token && req.headers.authorization !== `Bearer ${token}`)
+      return send(res, 401, { error: "Missing or wrong bearer token" });
+
+    const name = new URL(req.url, "http://control").pathname.replace(
+      /^\/+/,
+      ""
+    );
+    if (name === "status") {
+      if (req.method !== "GET")
+        return send(res, 405, { error: "Use GET /status" });
+      return send(res, 200, getStatus());
+    }
+    if (SIGNALS.includes(name)) {
+      if (req.method !== "POST")
+        return send(res, 405, { error: `Use POST /${name}` });
+      const result = onSignal(name);
+      return send(res, result.ok ? 200 : 409, result);
+    }
+    send(res, 404, {
+      error: `Unknown endpoint /${name}`,
+      endpoints: ["GET /status", ...SIGNALS.map((s) => `POST /${s}`)],
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
+
+function stopControlServer(server) {
+  if (!server) return Promise.resolve();
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(() => resolve()));
+}
+
+module.exports = {
+  SIGNALS,
+  controlOptions,
+  startControlServer,
+  stopControlServer,
+};
@@ -0,0 +1,85 @@
+// convert.js
+// Standalone converter: existing annotations.coco.json → YOLO / Pascal VOC / CreateML / trees /
+// interaction transitions.
+
+const path = require("path");
+
+const { FORMATS, exportOptions, exportDataset } = require("./exporters");
+const { EXIT_CODES } = require("./cli");
+
+const FORMAT_LIST = FORMATS.join(", ");
+const USAGE = `Usage: node scraper/convert.js <annotations.coco.json> [options]
+
+Options:
+  -f, --format <list>   Comma-separated formats: ${FORMAT_LIST} (default: all)
+  -o, --out <dir>       Output root; each format goes in <dir>/<format> (default: <coco dir>/exports)
+      --images <dir>    Directory holding the images (default: next to the COCO file)
+  -h, --help            Show this help`;
+
+function parseConvertArgs(argv) {
+  const opts = {
+    cocoPath: null,
+    formats: FORMATS,
+    outRoot: null,
+    imagesDir: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      const v = argv[++i];
+      if (v == null) throw new Error(`Missing value for ${arg}`);
+      return v;
+    };
+    if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (arg === "-f" || arg === "--format")
+      opts.formats = next()
+        .split(",")
+        .map((f) => f.trim().toLowerCase())
+        .filter(Boolean);
+    else if (arg === "-o" || arg === "--out") opts.outRoot = next();
+    else if (arg === "--images") opts.imagesDir = next();
+    else if (arg.startsWith("-")) throw new Error(`Unknown option: ${arg}`);
+    else if (!opts.cocoPath) opts.cocoPath = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  return opts;
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseConvertArgs(process.argv.slice(2));
+    if (!opts.help && !opts.cocoPath)
+      throw new Error("Missing <annotations.coco.json>");
+    // Every format is checked before any is written
+    exportOptions({ formats: opts.formats }, { key: "--format" });
+  } catch (e) {
+    console.error(`❌ ${e.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  try {
+    const results = exportDataset(path.resolve(opts.cocoPath), opts.formats, {
+      outRoot: opts.outRoot && path.resolve(opts.outRoot),
+      imagesDir: opts.imagesDir && path.resolve(opts.imagesDir),
+    });
+    for (const [format, r] of Object.entries(results)) {
+      console.log(
+        `📦 ${format}: ${r.images} image(s) → ${path.relative(
+          process.cwd(),
+          r.outDir
+        )}`
+      );
+    }
+    return EXIT_CODES.OK;
+  } catch (e) {
+    console.error("❌ Export failed:", e.message);
+    return EXIT_CODES.FATAL;
+  }
+}
+
+if (require.main === module) process.exitCode = main();
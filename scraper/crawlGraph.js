@@ -0,0 +1,229 @@
+// crawlGraph.js
+// Normalizes config into a graph of page types (targets, annotations, interactions, link rules).
+// Accepts the declarative "pages" + "crawl" schema and the older fixed "home" + "post" blocks.
+
+const { normalizeInteractions } = require("./interactions");
+
+const DEFAULT_INFINITE_SCROLL = {
+  enabled: true,
+  stableRounds: 6,
+  step: 1.0, // viewport heights
+  sleepMs: 350,
+};
+
+const DEFAULT_COMMENT_INTERACTION = {
+  componentSelectors: ["shreddit-comment"],
+  buttonSelector: "svg[icon-name='comment-outline']",
+  composerSelector: "comment-composer-host",
+  timeoutMs: 5000,
+};
+
+const SCREENSHOT_MODES = ["viewport", "fullPage", "element"];
+
+function mustArray(x, name) {
+  if (!Array.isArray(x) || x.length === 0)
+    throw new Error(`non-empty "${name}" is required.`);
+}
+
+function validateAnno(arr, label) {
+  if (!arr) return;
+  if (!Array.isArray(arr))
+    throw new Error(`"${label}" must be an array of [cssSelector, category].`);
+  const bad = arr.find(
+    (p) => !Array.isArray(p) || p.length !== 2 || !p[0] || !p[1]
+  );
+  if (bad)
+    throw new Error(
+      `Each entry in "${label}" must be [cssSelector, category].`
+    );
+}
+
+function withInfDefaults(inf) {
+  const out = { ...DEFAULT_INFINITE_SCROLL, ...(inf || {}) };
+  if (typeof out.enabled !== "boolean")
+    out.enabled = DEFAULT_INFINITE_SCROLL.enabled;
+  for (const k of ["stableRounds", "step", "sleepMs"]) {
+    if (!Number.isFinite(out[k])) out[k] = DEFAULT_INFINITE_SCROLL[k];
+  }
+  return out;
+}
+
+// { mode, padding } for a page type, on top of the top-level "screenshot" block
+function normalizeScreenshot(raw, base, label) {
+  const out = { ...base, ...(raw || {}) };
+  if (!SCREENSHOT_MODES.includes(out.mode))
+    throw new Error(
+      `"${label}.mode" must be one of: ${SCREENSHOT_MODES.join(", ")}.`
+    );
+  if (!Number.isFinite(out.padding) || out.padding < 0)
+    throw new Error(`"${label}.padding" must be a non-negative number.`);
+  return { mode: out.mode, padding: out.padding };
+}
+
+// ----- Old schema: home feed → post pages -----
+function legacyToGraph(cfg) {
+  if (!cfg.home || !cfg.post)
+    throw new Error("must include either 'pages' or both 'home' and 'post'.");
+
+  const home = cfg.home;
+  const post = cfg.post;
+  mustArray(post.annotations, "post.annotations");
+  const open = home.open || {};
+  const maxPerTarget = Number.isFinite(home.maxPerTarget)
+    ? home.maxPerTarget
+    : 10; // max posts to open from feed
+
+  return {
+    crawl: { start: "home", maxDepth: 1 },
+    pages: {
+      home: {
+        targets: home.targets,
+        annotations: home.annotations || [],
+        maxShots: Number.isFinite(home.maxShots) ? home.maxShots : maxPerTarget,
+        infiniteScroll: home.infiniteScroll,
+        interactions: {}, // none on home
+        links: [
+          {
+            to: "post",
+            within: home.targets,
+            selector:
+              open.selector ||
+              "a[data-click-id='comments'], a[href*='/comments/']",
+            fallbackSelectors: ["a[href*='/comments/']", "a[href]"],
+            maxLinks: maxPerTarget,
+            openInNewTab: open.openInNewTab,
+            waitUntil: open.waitUntil,
+            stabilizationMs: open.stabilizationMs,
+            infiniteScroll: home.infiniteScroll,
+          },
+        ],
+      },
+      post: {
+        targets: post.targets,
+        annotations: post.annotations,
+        maxShots: Number.isFinite(post.maxShotsPerPost)
+          ? post.maxShotsPerPost
+          : 6, // screenshots per post page
+        infiniteScroll: post.infiniteScroll,
+        interactions: {
+          comment: DEFAULT_COMMENT_INTERACTION,
+          ...(post.interactions || {}),
+        },
+        links: [],
+      },
+    },
+  };
+}
+
+function normalizeLink(link, type, i, pages, page, cfg) {
+  const label = `pages.${type}.links[${i}]`;
+  if (!link || typeof link !== "object")
+    throw new Error(`"${label}" must be an object.`);
+  if (!link.to || !pages[link.to])
+    throw new Error(`"${label}.to" must name a page type in "pages".`);
+  if (!link.selector) throw new Error(`"${label}.selector" is required.`);
+
+  const within = link.within === undefined ? page.targets : link.within;
+  if (!Array.isArray(within))
+    throw new Error(`"${label}.within" must be an array of selectors.`);
+
+  return {
+    to: link.to,
+    within,
+    selector: link.selector,
+    fallbackSelectors: Array.isArray(link.fallbackSelectors)
+      ? link.fallbackSelectors
+      : [],
+    maxLinks: Number.isFinite(link.maxLinks) ? link.maxLinks : 10,
+    openInNewTab:
+      typeof link.openInNewTab === "boolean" ? link.openInNewTab : true,
+    waitUntil: link.waitUntil || cfg.waitUntil || "domcontentloaded",
+    stabilizationMs: Number.isFinite(link.stabilizationMs)
+      ? link.stabilizationMs
+      : 800,
+    infiniteScroll: withInfDefaults(link.infiniteScroll || page.infiniteScroll),
+  };
+}
+
+function normalizeCrawlGraph(cfg) {
+  const raw = cfg.pages
+    ? { crawl: cfg.crawl || {}, pages: cfg.pages }
+    : legacyToGraph(cfg);
+
+  const types = Object.keys(raw.pages || {});
+  if (!types.length) throw new Error(`"pages" must declare at least one type.`);
+
+  const start = raw.crawl.start || types[0];
+  if (!raw.pages[start])
+    throw new Error(`"crawl.start" names unknown page type "${start}".`);
+  const concurrency = raw.crawl.concurrency ?? 1;
+  if (!Number.isInteger(concurrency) || concurrency < 1)
+    throw new Error(`"crawl.concurrency" must be a positive integer.`);
+
+  const screenshot = normalizeScreenshot(
+    cfg.screenshot,
+    { mode: "viewport", padding: 0 },
+    "screenshot"
+  );
+
+  const pages = {};
+  for (const type of types) {
+    const p = raw.pages[type] || {};
+    mustArray(p.targets, `pages.${type}.targets`);
+    validateAnno(p.annotations, `pages.${type}.annotations`);
+    pages[type] = {
+      type,
+      targets: p.targets,
+      annotations: p.annotations || [],
+      maxShots: Number.isFinite(p.maxShots) ? p.maxShots : 6,
+      infiniteScroll: withInfDefaults(p.infiniteScroll),
+      interactions: normalizeInteractions(
+        p.interactions,
+        `pages.${type}.interactions`
+      ),
+      screenshot: normalizeScreenshot(
+        p.screenshot,
+        screenshot,
+        `pages.${type}.screenshot`
+      ),
+      links: [],
+      rawLinks: p.links || [],
+    };
+  }
+  for (const type of types) {
+    const page = pages[type];
+    if (!Array.isArray(page.rawLinks))
+      throw new Error(`"pages.${type}.links" must be an array.`);
+    page.links = page.rawLinks.map((l, i) =>
+      normalizeLink(l, type, i, raw.pages, page, cfg)
+    );
+    delete page.rawLinks;
+  }
+
+  return {
+    start,
+    startUrl:
+      raw.pages[start].url || cfg.targetUrl || "https://www.reddit.com/",
+    maxDepth: Number.isFinite(raw.crawl.maxDepth) ? raw.crawl.maxDepth : 3,
+    maxPages: Number.isFinite(raw.crawl.maxPages)
+      ? raw.crawl.maxPages
+      : Infinity,
+    concurrency, // tabs visiting links in parallel
+    pages,
+  };
+}
+
+// All categories declared anywhere in the graph, in first-seen order
+function graphCategories(graph) {
+  const cats = [];
+  for (const page of Object.values(graph.pages)) {
+    for (const [, c] of page.annotations) cats.push(c);
+  }
+  return Array.from(new Set(cats));
+}
+
+module.exports = {
+  SCREENSHOT_MODES,
+  normalizeCrawlGraph,
+  graphCategories,
+};
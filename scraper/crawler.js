@@ -0,0 +1,749 @@
+// crawler.js
+// Orchestration: walks the config-declared graph of page types (e.g. Home feed → Post) from the start
+// page, once per device profile, capturing each page and writing COCO plus the optional extras.
+// Runs on a Browser or Page the caller provides and reports through a CaptureRun.
+
+const fs = require("fs");
+const path = require("path");
+
+const { CocoWriter } = require("./coco");
+const { graphCategories } = require("./crawlGraph");
+const { RunCheckpoint } = require("./checkpoint");
+const { CaptureTimings } = require("./batchCapture");
+const { exportDataset } = require("./exporters");
+const { NearDuplicateIndex } = require("./dedupe");
+const { preparePage } = require("./devices");
+const { CropWriter } = require("./crops");
+const { PreviewRenderer } = require("./preview");
+const { runDryRun } = require("./dryRun");
+const { NetworkArchive } = require("./netArchive");
+const { RequestPolicy } = require("./requestPolicy");
+const { normalizeConfig } = require("./config");
+const { captureOnPage } = require("./capture");
+const { infiniteScrollCollectLinks } = require("./links");
+const { CaptureRun } = require("./run");
+const { Lock, runPool } = require("./workerPool");
+const {
+  ScraperError,
+  ArchiveError,
+  ResumeError,
+  CaptureError,
+} = require("./errors");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const jitter = (ms, j = 25) =>
+  sleep(Math.max(0, ms + Math.round((Math.random() * 2 - 1) * j)));
+
+function buildCategoryColors(categories, overrides = {}) {
+  const palette = [
+    "#ff4d4f",
+    "#36cfc9",
+    "#9254de",
+    "#69c0ff",
+    "#73d13d",
+    "#faad14",
+    "#eb2f96",
+    "#13c2c2",
+    "#52c41a",
+    "#2f54eb",
+  ];
+  const map = new Map();
+  let p = 0;
+  for (const cat of categories) {
+    if (overrides && overrides[cat]) map.set(cat, overrides[cat]);
+    else if (p < palette.length) map.set(cat, palette[p++]);
+    else {
+      const h =
+        Math.abs([...cat].reduce((a, c) => a * 33 + c.charCodeAt(0), 7)) % 360;
+      map.set(cat, `hsl(${h} 85% 55%)`);
+    }
+  }
+  return map;
+}
+
+// Headless has no monitor to size against, so it gets a fixed viewport. Parallel crawls keep
+// background tabs loading at full speed while another tab is in front.
+function launchOptions(cfg) {
+  const headless = cfg.headless === true;
+  const args =
+    !headless && cfg.fullscreen !== false
+      ? ["--start-fullscreen", "--start-maximized"]
+      : [];
+  if (cfg.graph?.concurrency > 1)
+    args.push(
+      "--disable-background-timer-throttling",
+      "--disable-renderer-backgrounding",
+      "--disable-backgrounding-occluded-windows"
+    );
+  return {
+    headless,
+    slowMo: 0,
+    defaultViewport: headless
+      ? cfg.viewport || { width: 1920, height: 1080, deviceScaleFactor: 1 }
+      : null,
+    args,
+  };
+}
+
+// ----- Start page: cookie banner, then pre-scroll + stabilization -----
+async function dismissConsent(page) {
+  try {
+    await page.evaluate(() => {
+      const texts = [
+        "accept",
+        "accept all",
+        "i agree",
+        "allow all",
+        "tous accepter",
+        "j’accepte",
+      ];
+      const nodes = Array.from(
+        document.querySelectorAll("button,[role='button']")
+      );
+      for (const n of nodes) {
+        const t = (n.innerText || n.textContent || "").toLowerCase();
+        if (texts.some((x) => t.includes(x))) {
+          n.click();
+          break;
+        }
+      }
+      [
+        '[data-testid="accept-button"]',
+        '[aria-label="Accept"]',
+        '[aria-label="Accept all"]',
+      ].forEach((sel) => document.querySelector(sel)?.click());
+    });
+  } catch {}
+}
+async function settlePage(page, preScrollVH) {
+  if (preScrollVH > 0) {
+    await page.evaluate(
+      (vh) => window.scrollBy(0, window.innerHeight * vh),
+      preScrollVH
+    );
+    await sleep(100);
+  }
+  await sleep(3000);
+}
+
+// Recorded network traffic and the request policy, plus the setup every tab gets before it
+// navigates: device emulation, the request policy, then the archive
+function networkHooks(cfg, baseDir) {
+  // Written while recording, served instead of the network on replay
+  const archive =
+    cfg.archive.mode === "off"
+      ? null
+      : new NetworkArchive({
+          ...cfg.archive,
+          dir: path.resolve(baseDir, cfg.archive.dir),
+        });
+  try {
+    const known = archive?.open();
+    if (archive)
+      console.log(
+        `🗄  Network archive (${archive.mode}): ${known} response(s) in ${archive.dir}`
+      );
+  } catch (e) {
+    throw new ArchiveError(e.message, { cause: e });
+  }
+  // Blocking rules, image placeholders and motion freezing for every tab
+  const requestPolicy = cfg.requestPolicy
+    ? new RequestPolicy(cfg.requestPolicy)
+    : null;
+  const setupPage = async (tab, profile) => {
+    await preparePage(tab, profile);
+    await requestPolicy?.attach(tab);
+    await archive?.attach(tab);
+  };
+  return { archive, requestPolicy, setupPage };
+}
+
+// Checkpoint key of a page: its URL, scoped to the device profile when one is emulated
+const pageKey = (crawl, url) =>
+  crawl.profile ? `${crawl.profile.name}|${url}` : url;
+
+// ----- Crawl one node of the page graph: capture it, then follow its link rules -----
+// counted: the page already counts toward crawl.maxPages (reserved when its link was taken).
+// parallel: links may be visited by a pool of tabs; pages visited by a worker follow their own
+// links one at a time, so no more than crawl.concurrency workers ever run at once.
+async function crawlNode({
+  browser,
+  page,
+  type,
+  url,
+  label,
+  depth,
+  crawl,
+  counted = false,
+  parallel = true,
+}) {
+  const { graph, checkpoint, run } = crawl;
+  const node = graph.pages[type];
+  const key = pageKey(crawl, url);
+  crawl.visited.add(url);
+
+  if (checkpoint.isCaptured(key)) {
+    console.log(`⏭️  ${label}: already captured in a previous run.`);
+  } else {
+    if (!counted) crawl.pagesVisited += 1;
+    const device = crawl.profile?.name ?? null;
+    const info = { type, label, url, device, depth };
+    run.pageStarted(info);
+    checkpoint.beginPage(key, { type, label });
+    try {
+      await captureOnPage({
+        page,
+        pageLabel: label,
+        targets: node.targets,
+        annotations: node.annotations,
+        maxShots: node.maxShots,
+        infScroll: node.infiniteScroll,
+        interactions: node.interactions,
+        screenshot: node.screenshot,
+        ...crawl.captureOpts,
+        run,
+        onShot: ({ imageId }) => checkpoint.recordShot(key, imageId),
+      });
+    } finally {
+      run.pageFinished(info);
+    }
+    // A page cut short by "stop" stays uncaptured so a resumed run redoes it
+    if (run.stopped) return;
+    checkpoint.endPage(key);
+  }
+
+  if (depth >= graph.maxDepth) return;
+
+  for (const [ruleIndex, rule] of node.links.entries()) {
+    if (run.stopped) return;
+
+    // Resumed runs follow the same links the interrupted run collected
+    let links = checkpoint.getLinks(key, ruleIndex);
+    if (!links) {
+      links = await infiniteScrollCollectLinks(page, rule.within, {
+        includeIframes: crawl.captureOpts.includeIframes,
+        maxCount: rule.maxLinks,
+        stepVH: rule.infiniteScroll.step,
+        sleepMs: rule.infiniteScroll.sleepMs,
+        stableRounds: rule.infiniteScroll.enabled
+          ? rule.infiniteScroll.stableRounds
+          : 0,
+        openSelector: rule.selector,
+        fallbackSelectors: rule.fallbackSelectors,
+        run,
+      });
+      if (run.stopped) return;
+      checkpoint.setLinks(key, ruleIndex, links);
+    }
+    console.log(`🧭 ${label}: collected ${links.length} "${rule.to}" link(s).`);
+
+    // Several links at once need a tab each; one at a time, the rule decides
+    const workers = parallel ? Math.min(graph.concurrency, links.length) : 1;
+    const newTab = rule.openInNewTab || workers > 1;
+
+    // Visit one link → crawl the child page type. Resolves to false once the run is stopped or
+    // the page limit is reached.
+    const visit = async (href, idx) => {
+      if (!(await run.proceed())) {
+        console.log("🛑 Stopped by user");
+        return false;
+      }
+      if (crawl.visited.has(href)) return true;
+      const childKey = pageKey(crawl, href);
+
+      // Captured pages with nothing left to follow need no visit at all
+      const childIsLeaf =
+        depth + 1 >= graph.maxDepth || !graph.pages[rule.to].links.length;
+      if (childIsLeaf && checkpoint.isCaptured(childKey)) {
+        crawl.visited.add(href);
+        return true;
+      }
+
+      // Claimed before the first await, so parallel tabs neither overshoot the page limit nor
+      // open the same page twice
+      const fresh = !checkpoint.isCaptured(childKey);
+      if (fresh && crawl.pagesVisited >= graph.maxPages) {
+        console.log(`🧭 Page limit reached (${graph.maxPages}).`);
+        return false;
+      }
+      if (fresh) crawl.pagesVisited += 1;
+      crawl.visited.add(href);
+
+      const childLabel = checkpoint.labelFor(
+        childKey,
+        rule.to,
+        crawl.labelPrefix
+      );
+      console.log(`➡️  Opening ${rule.to} ${idx + 1}/${links.length}: ${href}`);
+
+      const childPage = newTab ? await browser.newPage() : page;
+      try {
+        if (newTab) await crawl.setupPage(childPage);
+        await childPage.goto(href, {
+          waitUntil: rule.waitUntil,
+          timeout: 60_000,
+        });
+        await sleep(rule.stabilizationMs);
+
+        await crawlNode({
+          browser,
+          page: childPage,
+          type: rule.to,
+          url: href,
+          label: childLabel,
+          depth: depth + 1,
+          crawl,
+          counted: fresh,
+          parallel: workers === 1,
+        });
+      } catch (e) {
+        run.failure(`Failed on ${rule.to} page ${href}: ${e.message}`);
+      } finally {
+        if (newTab) {
+          try {
+            await childPage.close();
+          } catch {}
+          await jitter(100);
+        } else {
+          try {
+            await childPage.goBack({
+              waitUntil: rule.waitUntil,
+              timeout: 60_000,
+            });
+            await sleep(rule.stabilizationMs);
+          } catch {
+            try {
+              await childPage.goto(url, {
+                waitUntil: crawl.waitUntil,
+                timeout: 60_000,
+              });
+              await sleep(800);
+            } catch {}
+          }
+        }
+      }
+      return !run.stopped;
+    };
+
+    let finished = true;
+    await runPool(links, workers, async (href, idx) => {
+      if (await visit(href, idx)) return true;
+      finished = false;
+      return false;
+    });
+    if (!finished) return;
+  }
+}
+
+function preScrollVH(cfg) {
+  return Number.isFinite(cfg.preScrollViewportHeights)
+    ? Number(cfg.preScrollViewportHeights)
+    : 0.8;
+}
+
+// The start page: the caller's page, or a new tab of the caller's browser
+async function startTab({ browser, page }) {
+  if (page) return { browser: page.browser(), page };
+  return { browser, page: await browser.newPage() };
+}
+
+function requireBrowser({ browser, page }) {
+  if (!browser && !page)
+    throw new TypeError("A Puppeteer Browser or Page is required.");
+}
+
+// ----- Selector check: one page per page type, nothing written (see dryRun.js) -----
+// Resolves to { pages, flagged }.
+async function checkSelectors(
+  config,
+  { browser, page, baseDir = process.cwd() }
+) {
+  requireBrowser({ browser, page });
+  const cfg = normalizeConfig(config);
+  const { archive, requestPolicy, setupPage } = networkHooks(cfg, baseDir);
+  const profile = cfg.devices[0] || null;
+  const start = await startTab({ browser, page });
+  try {
+    await setupPage(start.page, profile);
+    await start.page.goto(cfg.graph.startUrl, {
+      waitUntil: cfg.waitUntil || "domcontentloaded",
+      timeout: 60_000,
+    });
+    if (cfg.tryDismissConsent !== false) await dismissConsent(start.page);
+    await settlePage(start.page, preScrollVH(cfg));
+    const result = await runDryRun({
+      browser: start.browser,
+      page: start.page,
+      graph: cfg.graph,
+      includeIframes: cfg.includeIframes !== false,
+      prepare: (tab) => setupPage(tab, profile),
+    });
+    if (requestPolicy) console.log(`🚫 ${requestPolicy.summary()}`);
+    return result;
+  } finally {
+    archive?.save();
+  }
+}
+
+// ----- Capture run -----
+// config: config.json contents (or a config already normalized by loadConfig/normalizeConfig).
+// Relative output, state and archive paths resolve against baseDir. Progress and events go through
+// run; an "idle" run waits on the start page for run.signal("start"). The caller owns the browser.
+// Resolves to { state, failures, complete, outputDir, cocoPath, statePath, images, annotations,
+// exports }. Throws ConfigError, ArchiveError, ResumeError, or CaptureError once progress is saved.
+async function runCapture(
+  config,
+  {
+    browser,
+    page,
+    baseDir = process.cwd(),
+    resume = false, // continue from the state file of an interrupted run
+    statePath = null, // state file (default: <out>/<checkpoint.file>)
+    run = new CaptureRun(),
+  } = {}
+) {
+  requireBrowser({ browser, page });
+  const cfg = normalizeConfig(config);
+
+  // Global options
+  const TARGET_URL = cfg.graph.startUrl;
+  const OUT_DIR = path.resolve(baseDir, cfg.outputDir || "screenshots");
+  const DELAY_MS = Number.isFinite(cfg.delayMs) ? Number(cfg.delayMs) : 50;
+  const WAIT_UNTIL = cfg.waitUntil || "domcontentloaded";
+  const FULLSCREEN = cfg.headless !== true && cfg.fullscreen !== false;
+  const INCLUDE_IFRAMES = cfg.includeIframes !== false;
+  // With previews on, the outlines are drawn there and the screenshots stay clean
+  const KEEP_OUTLINES = !cfg.preview && cfg.keepOutlinesInScreenshots === true;
+  const SEGMENTATION =
+    cfg.segmentation?.enabled === false
+      ? null
+      : {
+          arcSegments: cfg.segmentation?.arcSegments ?? 4,
+          svgSamples: cfg.segmentation?.svgSamples ?? 64,
+        };
+  // Off unless asked for: it drops boxes, and only sees what is on screen (see occlusion.js)
+  const OCCLUSION =
+    cfg.occlusion?.enabled !== true
+      ? null
+      : {
+          grid: cfg.occlusion?.grid ?? 5,
+          minVisibleFraction: cfg.occlusion?.minVisibleFraction ?? 0,
+          dropTruncated: cfg.occlusion?.dropTruncated === true,
+        };
+  const PRE_SCROLL_VH = preScrollVH(cfg);
+  // One pass over the crawl per emulated device; [null] = the browser's own window, no emulation
+  const PROFILES = cfg.devices.length ? cfg.devices : [null];
+
+  const { archive, requestPolicy, setupPage } = networkHooks(cfg, baseDir);
+
+  if (!fs.existsSync(OUT_DIR)) fs.mkdirSync(OUT_DIR, { recursive: true });
+
+  // Categories (union of every page type's annotations)
+  const categories = graphCategories(cfg.graph);
+  const categoryColor = buildCategoryColors(
+    categories,
+    cfg.outline?.colors || {}
+  );
+
+  // COCO writer
+  const cocoOut = path.resolve(
+    OUT_DIR,
+    cfg.coco?.outputFile || "annotations.coco.json"
+  );
+  const cocoInfo = cfg.coco?.datasetInfo || {};
+  const coco = new CocoWriter({
+    outputPath: cocoOut,
+    categories,
+    info: cocoInfo,
+  });
+
+  // Run state file (progress + COCO so far), optionally resumed from a previous run
+  const checkpointCfg = cfg.checkpoint || {};
+  const stateFile =
+    checkpointCfg.enabled === false
+      ? null
+      : statePath
+      ? path.resolve(baseDir, statePath)
+      : path.resolve(OUT_DIR, checkpointCfg.file || "run.state.json");
+  const checkpoint = new RunCheckpoint({
+    statePath: stateFile,
+    coco,
+    startUrl: TARGET_URL,
+    everyShots: Number.isFinite(checkpointCfg.everyShots)
+      ? checkpointCfg.everyShots
+      : 1,
+  });
+  // Per-annotation crops for a classification dataset
+  const crops = cfg.crops
+    ? new CropWriter({
+        ...cfg.crops,
+        outDir: path.resolve(OUT_DIR, cfg.crops.dir),
+      })
+    : null;
+
+  // Outlined, labelled copies of each shot drawn from its COCO records
+  const preview = cfg.preview
+    ? new PreviewRenderer({
+        ...cfg.preview,
+        outDir: path.resolve(OUT_DIR, cfg.preview.dir),
+        colorMap: categoryColor,
+      })
+    : null;
+
+  let resumed = null;
+  if (resume) {
+    if (!stateFile)
+      throw new ResumeError(
+        "Resuming needs a state file (checkpoint.enabled)."
+      );
+    try {
+      resumed = checkpoint.resume();
+    } catch (e) {
+      throw new ResumeError(
+        `Failed to resume from ${stateFile}: ${e.message}`,
+        { cause: e }
+      );
+    }
+    if (!resumed) {
+      console.warn(`⚠️ No state file at ${stateFile}; starting a fresh run.`);
+    } else {
+      for (const f of resumed.droppedFiles) {
+        try {
+          fs.unlinkSync(path.join(OUT_DIR, f));
+        } catch {}
+      }
+      crops?.dropImages(resumed.droppedFiles);
+      preview?.dropImages(resumed.droppedFiles);
+      console.log(
+        `♻️  Resuming: ${resumed.capturedPages} page(s) and ${resumed.images} image(s) kept, ${resumed.droppedFiles.length} image(s) from unfinished pages discarded.`
+      );
+    }
+  }
+
+  // Near-duplicate screenshots, checked against images kept so far (including resumed ones)
+  const dedupe = cfg.dedupe
+    ? new NearDuplicateIndex({
+        ...cfg.dedupe,
+        logPath: path.join(OUT_DIR, "duplicates.jsonl"),
+      })
+    : null;
+  if (resumed) dedupe?.dropImages(resumed.droppedFiles);
+  else {
+    crops?.reset();
+    dedupe?.reset();
+  }
+  dedupe?.seed(coco.images);
+
+  // Best effort: keep whatever was collected when the run is cut short
+  const flushProgress = () => {
+    try {
+      checkpoint.saveSync();
+      coco.writeSync();
+      archive?.save();
+      console.log(`💾 Progress saved to: ${stateFile || cocoOut}`);
+    } catch (e) {
+      console.error("❌ Failed to save progress:", e.message);
+    }
+  };
+
+  run.progress = () => ({
+    pagesCaptured: checkpoint.capturedCount(),
+    pageLimit: cfg.graph.maxPages * PROFILES.length,
+    shots: coco.images.length,
+    annotations: coco.annotations.length,
+  });
+
+  const outlineStyles = {
+    width: cfg.outline?.width || "3px",
+    style: cfg.outline?.style || "dashed",
+    colorMap: categoryColor,
+  };
+
+  try {
+    // ----- Open the start page -----
+    const start = await startTab({ browser, page });
+    const homePage = start.page;
+    preview?.attach(start.browser);
+    await setupPage(homePage, PROFILES[0]);
+    await homePage.goto(TARGET_URL, { waitUntil: WAIT_UNTIL, timeout: 60_000 });
+
+    // Fullscreen best-effort (hotkey needs a visible window)
+    if (FULLSCREEN) {
+      try {
+        if (process.platform === "darwin") {
+          await homePage.keyboard.down("Meta");
+          await homePage.keyboard.down("Control");
+          await homePage.keyboard.press("KeyF");
+          await homePage.keyboard.up("Control");
+          await homePage.keyboard.up("Meta");
+        } else {
+          await homePage.keyboard.press("F11");
+        }
+      } catch {}
+    }
+
+    if (cfg.tryDismissConsent !== false) await dismissConsent(homePage);
+
+    const settleStartPage = () => settlePage(homePage, PRE_SCROLL_VH);
+    await settleStartPage();
+
+    // Interactive runs wait here for the start signal
+    await run.untilStarted();
+
+    // Shared by tabs capturing in parallel: file names taken in the output directory (resumed
+    // images included) and the turns their shots take
+    const fileNames = new Set(coco.images.map((img) => img.file_name));
+    const shotLock = cfg.graph.concurrency > 1 ? new Lock() : null;
+
+    // Crawl the page graph from the start page, once per device profile
+    const timings = new CaptureTimings();
+    for (const [i, profile] of PROFILES.entries()) {
+      if (run.stopped) break;
+      if (profile) {
+        const { width, height, deviceScaleFactor } = profile.viewport;
+        console.log(
+          `📱 Device ${profile.name}: ${width}×${height} @${deviceScaleFactor}x`
+        );
+      }
+      if (i > 0) {
+        await setupPage(homePage, profile);
+        await homePage.goto(TARGET_URL, {
+          waitUntil: WAIT_UNTIL,
+          timeout: 60_000,
+        });
+        await settleStartPage();
+      }
+
+      const labelPrefix = profile ? `${profile.name}__` : "";
+      const crawl = {
+        graph: cfg.graph,
+        checkpoint,
+        run,
+        profile,
+        setupPage: (tab) => setupPage(tab, profile),
+        labelPrefix,
+        visited: new Set(),
+        waitUntil: WAIT_UNTIL,
+        captureOpts: {
+          includeIframes: INCLUDE_IFRAMES,
+          outlineStyles,
+          keepOutlines: KEEP_OUTLINES,
+          delayMs: DELAY_MS,
+          outputDir: OUT_DIR,
+          coco,
+          segmentation: SEGMENTATION,
+          occlusion: OCCLUSION,
+          attributes: cfg.attributes,
+          timings,
+          dedupe,
+          imageExtra: profile ? { device: profile.name } : {},
+          variants: cfg.variants,
+          crops,
+          preview,
+          requestPolicy,
+          fileNames,
+          shotLock,
+        },
+      };
+      crawl.pagesVisited = checkpoint.capturedCount(pageKey(crawl, ""));
+      await crawlNode({
+        browser: start.browser,
+        page: homePage,
+        type: cfg.graph.start,
+        url: TARGET_URL,
+        label: `${labelPrefix}${cfg.graph.start}`,
+        depth: 0,
+        crawl,
+      });
+    }
+    console.log(`⏱ Capture timings: ${timings.summary()}`);
+    if (dedupe?.duplicates)
+      console.log(
+        `♻️  ${dedupe.duplicates} near-duplicate screenshot(s) ${
+          dedupe.action === "skip" ? "skipped" : "flagged"
+        } (see duplicates.jsonl)`
+      );
+
+    if (crops)
+      console.log(
+        `✂️  ${crops.written} crop(s) saved in ${path.relative(
+          process.cwd(),
+          crops.outDir
+        )} (${crops.filtered} box(es) filtered out)`
+      );
+
+    if (preview)
+      console.log(
+        `🖼  ${preview.written} preview(s) saved in ${path.relative(
+          process.cwd(),
+          preview.outDir
+        )}`
+      );
+
+    if (requestPolicy) console.log(`🚫 ${requestPolicy.summary()}`);
+    if (archive) {
+      archive.save();
+      console.log(`🗄  ${archive.summary()}`);
+    }
+
+    // Write COCO file (and the final run state)
+    checkpoint.saveSync();
+    coco.writeSync();
+    console.log(
+      `📝 COCO annotations saved to: ${path.relative(process.cwd(), cocoOut)}`
+    );
+    console.log(
+      `✅ Screenshots saved in: ${path.relative(process.cwd(), OUT_DIR)}`
+    );
+
+    // Other dataset formats, converted from the COCO file just written
+    const exports = {};
+    if (cfg.exports.formats.length) {
+      try {
+        const results = exportDataset(cocoOut, cfg.exports.formats, {
+          outRoot: path.resolve(OUT_DIR, cfg.exports.dir),
+        });
+        for (const [format, r] of Object.entries(results)) {
+          exports[format] = r.outDir;
+          console.log(
+            `📦 ${format} export: ${path.relative(process.cwd(), r.outDir)}`
+          );
+        }
+      } catch (e) {
+        run.failure(`Dataset export failed: ${e.message}`);
+      }
+    }
+
+    return {
+      state: run.state,
+      failures: run.failures,
+      complete: run.failures === 0 && !run.stopped,
+      outputDir: OUT_DIR,
+      cocoPath: cocoOut,
+      statePath: stateFile,
+      images: coco.images.length,
+      annotations: coco.annotations.length,
+      exports,
+    };
+  } catch (err) {
+    flushProgress();
+    if (err instanceof ScraperError) throw err;
+    throw new CaptureError(`Capture run failed: ${err.message}`, {
+      cause: err,
+    });
+  } finally {
+    // The helper tab lives in the caller's browser, so it goes whether or not the run succeeded
+    await preview?.close();
+    run.activePages.clear();
+    run.currentPage = null;
+  }
+}
+
+module.exports = {
+  buildCategoryColors,
+  launchOptions,
+  dismissConsent,
+  settlePage,
+  checkSelectors,
+  runCapture,
+};
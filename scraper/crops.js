@@ -0,0 +1,185 @@
+// crops.js
+// Classification dataset: each kept annotation's box (plus padding) cut out of its screenshot into
+// crops/<category>/, with a JSON-lines manifest linking every crop to its image and annotation.
+
+const fs = require("fs");
+const path = require("path");
+
+const { pngSize, decodePngRows, encodePng, cropPixels } = require("./png");
+
+const MANIFEST = "manifest.jsonl";
+
+const toSafe = (s) =>
+  String(s)
+    .replace(/[^\w.-]+/g, "_")
+    .slice(0, 120);
+// Category → folder name: no separators, no leading/trailing dots ("..", hidden folders) and
+// none of the device names Windows refuses (con, nul, com1...)
+const categoryDir = (category) =>
+  (toSafe(category).replace(/^\.+|\.+$/g, "_") || "_").replace(
+    /^(con|prn|aux|nul|com\d|lpt\d)$/i,
+    "$1_"
+  );
+
+// Config block → options, or null when disabled
+function cropOptions(cfg = {}) {
+  if (!cfg || cfg.enabled !== true) return null;
+  const opts = {
+    dir: cfg.dir || "crops",
+    padding: Number.isFinite(cfg.padding) ? cfg.padding : 0, // image px around the box
+    minWidth: Number.isFinite(cfg.minWidth) ? cfg.minWidth : 16, // box size before padding
+    minHeight: Number.isFinite(cfg.minHeight) ? cfg.minHeight : 16,
+    maxAspectRatio: Number.isFinite(cfg.maxAspectRatio)
+      ? cfg.maxAspectRatio
+      : 10, // longer side / shorter side
+    categories: cfg.categories ?? null, // null = every category
+  };
+  for (const k of ["padding", "minWidth", "minHeight"]) {
+    if (opts[k] < 0) throw new Error(`"crops.${k}" must not be negative.`);
+  }
+  if (opts.maxAspectRatio < 1)
+    throw new Error(`"crops.maxAspectRatio" must be at least 1.`);
+  if (opts.categories != null && !Array.isArray(opts.categories))
+    throw new Error(`"crops.categories" must be an array of category names.`);
+  return opts;
+}
+
+class CropWriter {
+  // outDir: the crops root (category folders and the manifest go inside)
+  constructor({
+    outDir,
+    padding,
+    minWidth,
+    minHeight,
+    maxAspectRatio,
+    categories,
+  }) {
+    this.outDir = outDir;
+    this.manifestPath = path.join(outDir, MANIFEST);
+    this.padding = padding;
+    this.minWidth = minWidth;
+    this.minHeight = minHeight;
+    this.maxAspectRatio = maxAspectRatio;
+    this.categories = categories ? new Set(categories) : null;
+    this.written = 0;
+    this.filtered = 0;
+  }
+
+  keeps(category, [, , w, h]) {
+    if (this.categories && !this.categories.has(category)) return false;
+    if (w < this.minWidth || h < this.minHeight) return false;
+    return Math.max(w, h) / Math.max(1, Math.min(w, h)) <= this.maxAspectRatio;
+  }
+
+  // Cut the crops of one screenshot. annotations: [{ id, category, bbox }] in image px.
+  // Resolves to the number of crops written.
+  async addImage({ png, imageId, fileName, annotations }) {
+    const wanted = annotations.filter((a) => this.keeps(a.category, a.bbox));
+    this.filtered += annotations.length - wanted.length;
+    if (!wanted.length) return 0;
+
+    // Boxes are padded and clamped first so only the rows they span get decoded
+    const size = pngSize(png);
+    const boxes = [];
+    for (const a of wanted) {
+      const bbox = a.bbox.map((v) => Math.round(v));
+      const [x, y, w, h] = bbox;
+      const x1 = Math.max(0, Math.floor(x - this.padding));
+      const y1 = Math.max(0, Math.floor(y - this.padding));
+      const x2 = Math.min(size.width, Math.ceil(x + w + this.padding));
+      const y2 = Math.min(size.height, Math.ceil(y + h + this.padding));
+      if (x2 <= x1 || y2 <= y1) continue;
+      boxes.push({
+        a,
+        bbox,
+        box: { x: x1, y: y1, width: x2 - x1, height: y2 - y1 },
+      });
+    }
+    if (!boxes.length) return 0;
+
+    const img = await decodePngRows(png, {
+      top: Math.min(...boxes.map(({ box }) => box.y)),
+      bottom: Math.max(...boxes.map(({ box }) => box.y + box.height)),
+    });
+    const lines = [];
+    for (const { a, bbox, box } of boxes) {
+      const rel = path.join(
+        categoryDir(a.category),
+        `${path.parse(fileName).name}__${a.id}.png`
+      );
+      const dest = path.join(this.outDir, rel);
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      fs.writeFileSync(
+        dest,
+        encodePng(cropPixels(img, { ...box, y: box.y - img.top }))
+      );
+      lines.push(
+        JSON.stringify({
+          file_name: rel.split(path.sep).join("/"),
+          category: a.category,
+          image_id: imageId,
+          image_file: fileName,
+          annotation_id: a.id,
+          bbox,
+          crop_box: [box.x, box.y, box.width, box.height],
+        })
+      );
+    }
+    if (lines.length)
+      fs.appendFileSync(this.manifestPath, lines.join("\n") + "\n", "utf8");
+    this.written += lines.length;
+    return lines.length;
+  }
+
+  // Start a new manifest (a fresh run renumbers images and annotations). The crops the old
+  // manifest lists are deleted with it, and category folders left empty are removed.
+  reset() {
+    this.removeEntries(() => true);
+    fs.rmSync(this.manifestPath, { force: true });
+    if (!fs.existsSync(this.outDir)) return;
+    for (const name of fs.readdirSync(this.outDir)) {
+      try {
+        fs.rmdirSync(path.join(this.outDir, name)); // fails on folders that still hold files
+      } catch {}
+    }
+  }
+
+  // Remove the crops (files and manifest lines) of images that are no longer in the dataset,
+  // e.g. the ones a resumed run discarded. Returns the number of crops removed.
+  dropImages(fileNames) {
+    const drop = new Set(fileNames);
+    if (!drop.size) return 0;
+    return this.removeEntries((entry) => drop.has(entry.image_file));
+  }
+
+  // Delete the crop files of the manifest entries matching `match` and rewrite the manifest
+  // without them. Returns the number of crops removed.
+  removeEntries(match) {
+    if (!fs.existsSync(this.manifestPath)) return 0;
+    const kept = [];
+    let removed = 0;
+    for (const line of fs.readFileSync(this.manifestPath, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      const entry = JSON.parse(line);
+      if (!match(entry)) {
+        kept.push(line);
+        continue;
+      }
+      try {
+        fs.unlinkSync(path.join(this.outDir, entry.file_name));
+      } catch {}
+      removed += 1;
+    }
+    fs.writeFileSync(
+      this.manifestPath,
+      kept.length ? kept.join("\n") + "\n" : "",
+      "utf8"
+    );
+    return removed;
+  }
+}
+
+module.exports = {
+  cropOptions,
+  CropWriter,
+};
@@ -0,0 +1,115 @@
+// dedupe.js
+// Near-duplicate screenshot detection: each shot's dHash is compared with the recent shots of the
+// run (or every image in the dataset) and shots within maxDistance bits are skipped or flagged.
+
+const fs = require("fs");
+
+const { hashPng, hammingDistance } = require("./imageHash");
+
+const SCOPES = ["recent", "dataset"];
+const ACTIONS = ["skip", "flag"];
+
+// Config block → options, or null when disabled
+function dedupeOptions(cfg = {}) {
+  if (!cfg || cfg.enabled !== true) return null;
+  const opts = {
+    maxDistance: Number.isInteger(cfg.maxDistance) ? cfg.maxDistance : 4,
+    scope: cfg.scope || "recent",
+    recent: Number.isInteger(cfg.recent) ? cfg.recent : 20,
+    action: cfg.action || "skip",
+  };
+  if (opts.maxDistance < 0 || opts.maxDistance > 64)
+    throw new Error(`"dedupe.maxDistance" must be an integer from 0 to 64.`);
+  if (!SCOPES.includes(opts.scope))
+    throw new Error(`"dedupe.scope" must be one of: ${SCOPES.join(", ")}.`);
+  if (!ACTIONS.includes(opts.action))
+    throw new Error(`"dedupe.action" must be one of: ${ACTIONS.join(", ")}.`);
+  if (opts.recent < 1)
+    throw new Error(`"dedupe.recent" must be a positive integer.`);
+  return opts;
+}
+
+class NearDuplicateIndex {
+  // logPath: JSON-lines file that records every skipped/flagged shot (null = don't record)
+  constructor({ maxDistance, scope, recent, action, logPath = null }) {
+    this.maxDistance = maxDistance;
+    this.scope = scope;
+    this.recent = recent;
+    this.action = action;
+    this.logPath = logPath;
+    this.entries = []; // { hash, fileName }, oldest first
+    this.duplicates = 0;
+  }
+
+  // Prime from COCO images that already carry a phash (e.g. after a resume)
+  seed(images) {
+    for (const img of images) {
+      if (img.phash) this.add(img.phash, img.file_name);
+    }
+  }
+
+  add(hash, fileName) {
+    this.entries.push({ hash, fileName });
+    if (this.scope === "recent" && this.entries.length > this.recent)
+      this.entries.splice(0, this.entries.length - this.recent);
+  }
+
+  // Closest known image within maxDistance: { fileName, distance }, or null
+  match(hash) {
+    let best = null;
+    for (const e of this.entries) {
+      const distance = hammingDistance(e.hash, hash);
+      if (distance <= this.maxDistance && (!best || distance < best.distance))
+        best = { fileName: e.fileName, distance };
+    }
+    return best;
+  }
+
+  // Hash a fresh screenshot. Returns { hash, duplicate } where duplicate is the match (or null);
+  // unique shots are remembered, duplicates are counted and logged but not indexed.
+  check(pngBuffer, fileName) {
+    const hash = hashPng(pngBuffer);
+    const duplicate = this.match(hash);
+    if (!duplicate) {
+      this.add(hash, fileName);
+      return { hash, duplicate: null };
+    }
+    this.duplicates += 1;
+    if (this.logPath) {
+      const entry = {
+        file_name: fileName,
+        duplicate_of: duplicate.fileName,
+        distance: duplicate.distance,
+        phash: hash,
+        action: this.action,
+      };
+      fs.appendFileSync(this.logPath, JSON.stringify(entry) + "\n", "utf8");
+    }
+    return { hash, duplicate };
+  }
+
+  // Start a new log (a fresh run replaces the dataset the old entries describe)
+  reset() {
+    if (this.logPath) fs.rmSync(this.logPath, { force: true });
+  }
+
+  // Forget the log entries of shots that are no longer in the dataset (e.g. discarded on resume)
+  dropImages(fileNames) {
+    const drop = new Set(fileNames);
+    if (!drop.size || !this.logPath || !fs.existsSync(this.logPath)) return;
+    const kept = fs
+      .readFileSync(this.logPath, "utf8")
+      .split("\n")
+      .filter((line) => line.trim() && !drop.has(JSON.parse(line).file_name));
+    fs.writeFileSync(
+      this.logPath,
+      kept.length ? kept.join("\n") + "\n" : "",
+      "utf8"
+    );
+  }
+}
+
+module.exports = {
+  dedupeOptions,
+  NearDuplicateIndex,
+};
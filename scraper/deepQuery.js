@@ -1,69 +1,134 @@
 // deepQuery.js
-// Utilities to search across main DOM, open shadow DOM, and same-origin iframes.
+// Utilities to search across main DOM, open shadow DOM, and every iframe (including cross-origin).
 
-async function deepQueryAll(page, selector, { includeIframes = true } = {}) {
-  const arrayHandle = await page.evaluateHandle(
-    async (sel, includeIframes) => {
-      const uniques = new Set();
-      const results = [];
-
-      const pushAll = (list) => {
-        for (const el of list) {
-          if (!uniques.has(el)) {
-            uniques.add(el);
-            results.push(el);
-          }
-        }
-      };
-
-      const queryAllInRoot = (root) => {
-        let matched = [];
-        try {
-          matched = Array.from(root.querySelectorAll(sel));
-        } catch (e) {
-          return { __selectorError: e.message };
+// Frame placement of handles returned by deepQueryAll: handle -> { x, y, clip }.
+// x/y is the frame's content origin in top-level viewport coordinates; clip is the part of the
+// top-level viewport the frame actually shows (null for the main frame).
+const frameOffsets = new WeakMap();
+const MAIN_FRAME_OFFSET = Object.freeze({ x: 0, y: 0, clip: null });
+
+function frameOffsetOf(handle) {
+  return frameOffsets.get(handle) || MAIN_FRAME_OFFSET;
+}
+
+// Rect from getBoundingClientRect() inside a frame → top-level viewport coordinates,
+// cut to the frame's visible area
+function offsetRect({ x, y, clip }, r) {
+  const rect = {
+    left: r.left + x,
+    top: r.top + y,
+    right: r.right + x,
+    bottom: r.bottom + y,
+  };
+  if (!clip) return rect;
+  return {
+    left: Math.max(rect.left, clip.left),
+    top: Math.max(rect.top, clip.top),
+    right: Math.min(rect.right, clip.right),
+    bottom: Math.min(rect.bottom, clip.bottom),
+  };
+}
+
+function toPageRect(handle, r) {
+  return offsetRect(frameOffsetOf(handle), r);
+}
+
+// Walks up the frame tree: each <iframe>'s content box, nested frames accumulated.
+// Returns null for detached or zero-size frames.
+async function computeFrameOffset(frame) {
+  const boxes = []; // innermost first, each relative to its parent frame's viewport
+  for (let f = frame; f.parentFrame(); f = f.parentFrame()) {
+    const owner = await f.frameElement().catch(() => null);
+    if (!owner) return null;
+    const box = await owner
+      .evaluate((el) => {
+        const r = el.getBoundingClientRect();
+        const s = getComputedStyle(el);
+        const pl = parseFloat(s.paddingLeft) || 0;
+        const pt = parseFloat(s.paddingTop) || 0;
+        const pr = parseFloat(s.paddingRight) || 0;
+        const pb = parseFloat(s.paddingBottom) || 0;
+        return {
+          left: r.left + el.clientLeft + pl,
+          top: r.top + el.clientTop + pt,
+          width: el.clientWidth - pl - pr,
+          height: el.clientHeight - pt - pb,
+        };
+      })
+      .catch(() => null);
+    await owner.dispose().catch(() => {});
+    if (!box || box.width <= 0 || box.height <= 0) return null;
+    boxes.push(box);
+  }
+
+  let x = 0;
+  let y = 0;
+  let clip = null;
+  for (const b of boxes.reverse()) {
+    const rect = {
+      left: x + b.left,
+      top: y + b.top,
+      right: x + b.left + b.width,
+      bottom: y + b.top + b.height,
+    };
+    clip = clip
+      ? {
+          left: Math.max(clip.left, rect.left),
+          top: Math.max(clip.top, rect.top),
+          right: Math.min(clip.right, rect.right),
+          bottom: Math.min(clip.bottom, rect.bottom),
         }
-        pushAll(matched);
-
-        const allElems = root.querySelectorAll("*");
-        for (const el of allElems) {
-          const sr = el.shadowRoot;
-          if (sr) {
-            const inner = queryAllInRoot(sr);
-            if (inner && inner.__selectorError) return inner;
-          }
+      : rect;
+    x = rect.left;
+    y = rect.top;
+  }
+  if (clip && (clip.right <= clip.left || clip.bottom <= clip.top)) return null;
+  return { x, y, clip };
+}
+
+// Light DOM + open shadow roots of one frame's document
+async function queryAllInFrame(frame, selector) {
+  const arrayHandle = await frame.evaluateHandle((sel) => {
+    const uniques = new Set();
+    const results = [];
+
+    const pushAll = (list) => {
+      for (const el of list) {
+        if (!uniques.has(el)) {
+          uniques.add(el);
+          results.push(el);
         }
-        return null;
-      };
+      }
+    };
 
-      {
-        const err = queryAllInRoot(document);
-        if (err && err.__selectorError) return err;
+    const queryAllInRoot = (root) => {
+      let matched = [];
+      try {
+        matched = Array.from(root.querySelectorAll(sel));
+      } catch (e) {
+        return { __selectorError: e.message };
       }
+      pushAll(matched);
 
-      if (includeIframes) {
-        const iframes = Array.from(document.querySelectorAll("iframe"));
-        for (const frame of iframes) {
-          try {
-            const doc = frame.contentDocument;
-            if (doc) {
-              const err = queryAllInRoot(doc);
-              if (err && err.__selectorError) return err;
-            }
-          } catch {
-            // cross-origin -> skip
-          }
+      const allElems = root.querySelectorAll("*");
+      for (const el of allElems) {
+        const sr = el.shadowRoot;
+        if (sr) {
+          const inner = queryAllInRoot(sr);
+          if (inner && inner.__selectorError) return inner;
         }
       }
+      return null;
+    };
 
-      return results;
-    },
-    selector,
-    includeIframes
-  );
+    const err = queryAllInRoot(document);
+    if (err && err.__selectorError) return err;
+    return results;
+  }, selector);
 
   const arrVal = await arrayHandle.jsonValue().catch(() => undefined);
   if (arrVal && typeof arrVal === "object" && arrVal.__selectorError) {
+    await arrayHandle.dispose();
     throw new Error(
       `Invalid selector "${selector}": ${arrVal.__selectorError}`
     );
@@ -79,32 +144,72 @@ async function deepQueryAll(page, selector, { includeIframes = true } = {}) {
   return elements;
 }
 
+// Every frame in Puppeteer's frame tree is queried in its own context, so cross-origin iframes
+// (ads, embeds, widgets) are searched too. Use frameOffsetOf()/toPageRect() for page coordinates.
+async function deepQueryAll(page, selector, { includeIframes = true } = {}) {
+  const mainFrame = page.mainFrame();
+  const elements = await queryAllInFrame(mainFrame, selector);
+  if (!includeIframes) return elements;
+
+  for (const frame of page.frames()) {
+    if (frame === mainFrame || frame.detached) continue;
+    let found;
+    try {
+      found = await queryAllInFrame(frame, selector);
+    } catch (e) {
+      if (/^Invalid selector/.test(e.message)) throw e;
+      continue; // frame navigated or detached mid-query
+    }
+    if (!found.length) continue;
+
+    const offset = await computeFrameOffset(frame);
+    for (const el of found) {
+      if (!offset) {
+        await el.dispose().catch(() => {});
+        continue;
+      }
+      frameOffsets.set(el, offset);
+      elements.push(el);
+    }
+  }
+  return elements;
+}
+
 async function deepQueryVisible(
   page,
   selector,
   { includeIframes = true } = {}
 ) {
   const els = await deepQueryAll(page, selector, { includeIframes });
+  const { vw, vh } = await page.evaluate(() => ({
+    vw: window.innerWidth,
+    vh: window.innerHeight,
+  }));
   const visible = [];
   for (const el of els) {
     try {
-      const isVis = await el.evaluate((node) => {
+      const rect = await el.evaluate((node) => {
         const s = getComputedStyle(node);
         if (
           s.display === "none" ||
           s.visibility === "hidden" ||
           s.opacity === "0"
         )
-          return false;
+          return null;
         const r = node.getBoundingClientRect();
-        const inViewport =
-          r.bottom > 0 &&
-          r.right > 0 &&
-          r.top < innerHeight &&
-          r.left < innerWidth;
-        return inViewport;
+        return { left: r.left, top: r.top, right: r.right, bottom: r.bottom };
       });
-      if (isVis) visible.push(el);
+      // Checked in top-level viewport coordinates so iframe content is judged where it shows
+      const r = rect && toPageRect(el, rect);
+      const inViewport =
+        r &&
+        r.right > r.left &&
+        r.bottom > r.top &&
+        r.bottom > 0 &&
+        r.right > 0 &&
+        r.top < vh &&
+        r.left < vw;
+      if (inViewport) visible.push(el);
       else await el.dispose();
     } catch {
       try {
@@ -135,4 +240,8 @@ module.exports = {
   deepQueryAll,
   deepQueryVisible,
   waitForAnyDeep,
+  frameOffsetOf,
+  toPageRect,
+  offsetRect,
+  computeFrameOffset,
 };
@@ -0,0 +1,75 @@
+// devices.js
+// Emulation matrix: each profile (a Puppeteer known device or an explicit viewport + user agent)
+// gets its own pass over the crawl graph.
+
+const { KnownDevices } = require("puppeteer");
+
+const NAME_RE = /^[\w.-]+$/;
+
+function normalizeProfile(raw, i) {
+  const label = `devices[${i}]`;
+  if (!raw || typeof raw !== "object")
+    throw new Error(`"${label}" must be an object.`);
+
+  let base = {};
+  if (raw.device) {
+    base = KnownDevices[raw.device];
+    if (!base)
+      throw new Error(
+        `"${label}.device": unknown device "${raw.device}" (see Puppeteer's KnownDevices).`
+      );
+  }
+  const viewport = { ...(base.viewport || {}), ...(raw.viewport || {}) };
+  if (!(viewport.width > 0) || !(viewport.height > 0))
+    throw new Error(
+      `"${label}" needs a "device" or a "viewport" with width and height.`
+    );
+
+  const name = raw.name || (raw.device || "").replace(/[^\w.-]+/g, "-");
+  if (!name || !NAME_RE.test(name))
+    throw new Error(
+      `"${label}.name" is required and may only use letters, digits, ".", "_" and "-".`
+    );
+
+  return {
+    name,
+    viewport: {
+      width: viewport.width,
+      height: viewport.height,
+      deviceScaleFactor: viewport.deviceScaleFactor || 1,
+      isMobile: viewport.isMobile === true,
+      hasTouch: viewport.hasTouch === true,
+      isLandscape: viewport.isLandscape === true,
+    },
+    userAgent: raw.userAgent || base.userAgent || null,
+  };
+}
+
+// Config "devices" array → profiles; empty when no emulation is configured
+function deviceProfiles(list) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throw new Error(`"devices" must be an array.`);
+  const profiles = list.map(normalizeProfile);
+  const seen = new Set();
+  for (const p of profiles) {
+    if (seen.has(p.name))
+      throw new Error(`Duplicate device profile name "${p.name}".`);
+    seen.add(p.name);
+  }
+  return profiles;
+}
+
+// Apply a profile to a tab before it navigates (null = leave the browser's own settings). A tab
+// keeps the user agent it was last given, so a profile without one gets the browser's default.
+async function preparePage(page, profile) {
+  if (!profile) return;
+  await page.emulate({
+    viewport: profile.viewport,
+    userAgent: profile.userAgent || (await page.browser().userAgent()),
+  });
+}
+
+module.exports = {
+  deviceProfiles,
+  preparePage,
+};
@@ -0,0 +1,175 @@
+// dryRun.js
+// Selector health check: loads one page of each configured page type and reports how many elements
+// every target, annotation and link selector matches (total and in view), with sample rects.
+// Nothing is captured or written.
+
+const { deepQueryAll, deepQueryVisible, toPageRect } = require("./deepQuery");
+
+const SAMPLE_RECTS = 3;
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function disposeAll(handles) {
+  for (const h of handles) await h.dispose().catch(() => {});
+}
+
+// One selector: { total, visible, samples: [[x, y, w, h]], error }
+async function probeSelector(page, selector, { includeIframes }) {
+  let all;
+  try {
+    all = await deepQueryAll(page, selector, { includeIframes });
+  } catch (e) {
+    return { total: 0, visible: 0, samples: [], error: e.message };
+  }
+  const total = all.length;
+  await disposeAll(all);
+
+  const visible = await deepQueryVisible(page, selector, {
+    includeIframes,
+  }).catch(() => []);
+  const samples = [];
+  for (const el of visible.slice(0, SAMPLE_RECTS)) {
+    const r = await el
+      .evaluate((node) => {
+        const b = node.getBoundingClientRect();
+        return { left: b.left, top: b.top, right: b.right, bottom: b.bottom };
+      })
+      .catch(() => null);
+    if (!r) continue;
+    const p = toPageRect(el, r);
+    samples.push(
+      [p.left, p.top, p.right - p.left, p.bottom - p.top].map(Math.round)
+    );
+  }
+  const count = visible.length;
+  await disposeAll(visible);
+  return { total, visible: count, samples, error: null };
+}
+
+// href of the first link any of the selectors finds on the page
+async function firstHref(page, selectors, { includeIframes }) {
+  for (const sel of selectors) {
+    const els = await deepQueryAll(page, sel, { includeIframes }).catch(
+      () => []
+    );
+    let href = null;
+    for (const el of els) {
+      href = await el.evaluate((node) => node.href || null).catch(() => null);
+      if (href) break;
+    }
+    await disposeAll(els);
+    if (href) return href;
+  }
+  return null;
+}
+
+// Every selector of one page type → report rows { kind, selector, label, ...probe }
+async function checkPageSelectors(page, node, { includeIframes }) {
+  const rows = [];
+  const probe = async (kind, selector, label = "") =>
+    rows.push({
+      kind,
+      selector,
+      label,
+      ...(await probeSelector(page, selector, { includeIframes })),
+    });
+
+  for (const sel of node.targets) await probe("target", sel);
+  for (const [sel, category] of node.annotations)
+    await probe("annotation", sel, category);
+  for (const rule of node.links) {
+    for (const sel of rule.within) await probe("within", sel, `→ ${rule.to}`);
+    await probe("link", rule.selector, `→ ${rule.to}`);
+    for (const sel of rule.fallbackSelectors)
+      await probe("link", sel, `→ ${rule.to} (fallback)`);
+  }
+  return rows;
+}
+
+function printReport(type, url, rows) {
+  console.log(`\n🔎 ${type}: ${url}`);
+  for (const r of rows) {
+    const what = `${r.kind.padEnd(10)} ${r.selector}${
+      r.label ? ` [${r.label}]` : ""
+    }`;
+    if (r.error) console.log(`  ❌ ${what}: ${r.error}`);
+    else if (!r.total) console.log(`  ❌ ${what}: no matches`);
+    else {
+      const samples = r.samples.map((s) => `[${s.join(", ")}]`).join(" ");
+      const flag = r.visible ? "✅" : "⚠️ ";
+      console.log(
+        `  ${flag} ${what}: ${r.total} total, ${r.visible} visible${
+          samples ? ` e.g. ${samples}` : ""
+        }`
+      );
+    }
+  }
+}
+
+// Walks the graph from the start page, one page per type, following the first link each rule
+// finds. Resolves to { pages, flagged } where flagged counts selectors that failed to parse or
+// matched nothing, plus links that were not found and pages that failed to load.
+async function runDryRun({
+  browser,
+  page,
+  graph,
+  includeIframes,
+  prepare = async () => {}, // (newPage) => apply device emulation etc. before navigating
+}) {
+  const checked = new Set();
+  let flagged = 0;
+  let pages = 0;
+
+  const visit = async (tab, type, url, depth) => {
+    checked.add(type);
+    const node = graph.pages[type];
+    const rows = await checkPageSelectors(tab, node, { includeIframes });
+    printReport(type, url, rows);
+    pages += 1;
+    flagged += rows.filter((r) => r.error || !r.total).length;
+
+    if (depth >= graph.maxDepth) return;
+    for (const rule of node.links) {
+      if (checked.has(rule.to)) continue;
+      const href = await firstHref(
+        tab,
+        [rule.selector, ...rule.fallbackSelectors],
+        { includeIframes }
+      );
+      if (!href) {
+        flagged += 1;
+        console.warn(
+          `\n⚠️ No "${rule.to}" link found on ${type}; not checked.`
+        );
+        continue;
+      }
+      const child = await browser.newPage();
+      try {
+        await prepare(child);
+        await child.goto(href, { waitUntil: rule.waitUntil, timeout: 60_000 });
+        await sleep(rule.stabilizationMs);
+        await visit(child, rule.to, href, depth + 1);
+      } catch (e) {
+        flagged += 1;
+        console.warn(`\n⚠️ Failed to load ${rule.to} page ${href}:`, e.message);
+      } finally {
+        await child.close().catch(() => {});
+      }
+    }
+  };
+
+  await visit(page, graph.start, page.url(), 0);
+
+  const unchecked = Object.keys(graph.pages).filter((t) => !checked.has(t));
+  if (unchecked.length)
+    console.log(`\n⚠️  Page type(s) not reached: ${unchecked.join(", ")}`);
+  console.log(
+    `\n🧪 Dry run: ${pages} page(s) checked, ${flagged} problem(s) flagged.`
+  );
+  return { pages, flagged };
+}
+
+module.exports = {
+  probeSelector,
+  checkPageSelectors,
+  runDryRun,
+};
@@ -0,0 +1,29 @@
+// errors.js
+// Error types thrown by the library API; the CLI maps them to exit codes and messages.
+
+class ScraperError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+  }
+}
+
+// Missing, unreadable or invalid configuration
+class ConfigError extends ScraperError {}
+
+// Network archive that cannot be opened (e.g. replay without a recording)
+class ArchiveError extends ScraperError {}
+
+// State file of an interrupted run that cannot be resumed
+class ResumeError extends ScraperError {}
+
+// Anything else that ended a run early; progress was saved before it was thrown
+class CaptureError extends ScraperError {}
+
+module.exports = {
+  ScraperError,
+  ConfigError,
+  ArchiveError,
+  ResumeError,
+  CaptureError,
+};
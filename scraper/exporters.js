@@ -0,0 +1,335 @@
+// exporters.js
+// Converts a COCO dataset (as written by CocoWriter) to Ultralytics YOLO, Pascal VOC and CreateML,
+// to per-image annotation trees, or to a JSONL of before/after interaction pairs. All formats share
+// one class order: COCO categories sorted by id, indexed from 0.
+
+const path = require("path");
+const fs = require("fs");
+
+const FORMATS = ["yolo", "voc", "createml", "tree", "transitions"];
+
+// Config block → { formats, dir }; formats are checked up front so a typo fails before the crawl.
+// key names the formats setting in errors (e.g. the convert CLI option).
+function exportOptions(cfg = {}, { key = '"exports.formats"' } = {}) {
+  const opts = {
+    formats: cfg?.formats ?? [],
+    dir: cfg?.dir || "exports",
+  };
+  if (!Array.isArray(opts.formats)) throw new Error(`${key} must be an array.`);
+  const unknown = opts.formats.filter((f) => !FORMATS.includes(f));
+  if (unknown.length)
+    throw new Error(
+      `${key}: unknown ${unknown.join(", ")} (expected: ${FORMATS.join(", ")}).`
+    );
+  return opts;
+}
+
+function loadCoco(cocoPath) {
+  const data = JSON.parse(fs.readFileSync(cocoPath, "utf8"));
+  for (const key of ["images", "annotations", "categories"]) {
+    if (!Array.isArray(data[key]))
+      throw new Error(`COCO file ${cocoPath} is missing "${key}"`);
+  }
+  return data;
+}
+
+function classIndex(coco) {
+  const sorted = [...coco.categories].sort((a, b) => a.id - b.id);
+  return {
+    names: sorted.map((c) => c.name),
+    indexById: new Map(sorted.map((c, i) => [c.id, i])),
+    nameById: new Map(sorted.map((c) => [c.id, c.name])),
+  };
+}
+
+function annotationsByImage(coco) {
+  const map = new Map(coco.images.map((img) => [img.id, []]));
+  for (const a of coco.annotations) map.get(a.image_id)?.push(a);
+  return map;
+}
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+// Copies the image next to the labels; returns false (with a warning) if the source is gone
+function copyImage(imagesDir, fileName, destDir) {
+  const src = path.join(imagesDir, fileName);
+  if (!fs.existsSync(src)) {
+    console.warn(`⚠️ Missing image, skipped: ${src}`);
+    return false;
+  }
+  fs.copyFileSync(src, path.join(destDir, fileName));
+  return true;
+}
+
+const stem = (fileName) => path.parse(fileName).name;
+const round = (v, digits = 6) => Number(v.toFixed(digits));
+const escapeXml = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// ----- Ultralytics YOLO: images/, labels/*.txt ("cls cx cy w h", normalized), data.yaml -----
+function exportYolo(coco, { imagesDir, outDir }) {
+  const { names, indexById } = classIndex(coco);
+  const byImage = annotationsByImage(coco);
+  ensureDir(path.join(outDir, "images"));
+  ensureDir(path.join(outDir, "labels"));
+
+  let count = 0;
+  for (const img of coco.images) {
+    if (!copyImage(imagesDir, img.file_name, path.join(outDir, "images")))
+      continue;
+    const lines = byImage.get(img.id).map((a) => {
+      const [x, y, w, h] = a.bbox;
+      return [
+        indexById.get(a.category_id),
+        round((x + w / 2) / img.width),
+        round((y + h / 2) / img.height),
+        round(w / img.width),
+        round(h / img.height),
+      ].join(" ");
+    });
+    fs.writeFileSync(
+      path.join(outDir, "labels", `${stem(img.file_name)}.txt`),
+      lines.length ? lines.join("\n") + "\n" : "",
+      "utf8"
+    );
+    count += 1;
+  }
+
+  const yaml = [
+    `path: ${JSON.stringify(path.resolve(outDir))}`,
+    "train: images",
+    "val: images",
+    `nc: ${names.length}`,
+    "names:",
+    ...names.map((n, i) => `  ${i}: ${JSON.stringify(n)}`),
+  ].join("\n");
+  fs.writeFileSync(path.join(outDir, "data.yaml"), yaml + "\n", "utf8");
+  fs.writeFileSync(
+    path.join(outDir, "classes.txt"),
+    names.join("\n") + "\n",
+    "utf8"
+  );
+  return count;
+}
+
+// ----- Pascal VOC: JPEGImages/, Annotations/*.xml, ImageSets/Main/default.txt, labels.txt -----
+function exportVoc(coco, { imagesDir, outDir }) {
+  const { names, nameById } = classIndex(coco);
+  const byImage = annotationsByImage(coco);
+  const imgDir = path.join(outDir, "JPEGImages"); // VOC's name, whatever the image type
+  ensureDir(imgDir);
+  ensureDir(path.join(outDir, "Annotations"));
+  ensureDir(path.join(outDir, "ImageSets", "Main"));
+
+  const ids = [];
+  for (const img of coco.images) {
+    if (!copyImage(imagesDir, img.file_name, imgDir)) continue;
+    // VOC boxes are 1-based, inclusive pixel corners
+    const objects = byImage.get(img.id).map((a) => {
+      const [x, y, w, h] = a.bbox;
+      return `  <object>
+    <name>${escapeXml(nameById.get(a.category_id))}</name>
+    <pose>Unspecified</pose>
+    <truncated>${a.truncated ? 1 : 0}</truncated>
+    <occluded>${
+      a.visible_fraction != null && a.visible_fraction < 1 ? 1 : 0
+    }</occluded>
+    <difficult>0</difficult>
+    <bndbox>
+      <xmin>${Math.round(x) + 1}</xmin>
+      <ymin>${Math.round(y) + 1}</ymin>
+      <xmax>${Math.round(x + w)}</xmax>
+      <ymax>${Math.round(y + h)}</ymax>
+    </bndbox>
+  </object>`;
+    });
+    const xml = `<annotation>
+  <folder>JPEGImages</folder>
+  <filename>${escapeXml(img.file_name)}</filename>
+  <size>
+    <width>${img.width}</width>
+    <height>${img.height}</height>
+    <depth>3</depth>
+  </size>
+  <segmented>0</segmented>
+${objects.join("\n")}
+</annotation>
+`;
+    fs.writeFileSync(
+      path.join(outDir, "Annotations", `${stem(img.file_name)}.xml`),
+      xml,
+      "utf8"
+    );
+    ids.push(stem(img.file_name));
+  }
+
+  fs.writeFileSync(
+    path.join(outDir, "ImageSets", "Main", "default.txt"),
+    ids.length ? ids.join("\n") + "\n" : "",
+    "utf8"
+  );
+  fs.writeFileSync(
+    path.join(outDir, "labels.txt"),
+    names.join("\n") + "\n",
+    "utf8"
+  );
+  return ids.length;
+}
+
+// ----- CreateML: images/ + annotations.json (pixel units, box center) -----
+function exportCreateML(coco, { imagesDir, outDir }) {
+  const { nameById } = classIndex(coco);
+  const byImage = annotationsByImage(coco);
+  ensureDir(path.join(outDir, "images"));
+
+  const entries = [];
+  for (const img of coco.images) {
+    if (!copyImage(imagesDir, img.file_name, path.join(outDir, "images")))
+      continue;
+    entries.push({
+      image: img.file_name,
+      annotations: byImage.get(img.id).map((a) => {
+        const [x, y, w, h] = a.bbox;
+        return {
+          label: nameById.get(a.category_id),
+          coordinates: { x: x + w / 2, y: y + h / 2, width: w, height: h },
+        };
+      }),
+    });
+  }
+  fs.writeFileSync(
+    path.join(outDir, "annotations.json"),
+    JSON.stringify(entries, null, 2),
+    "utf8"
+  );
+  return entries.length;
+}
+
+// ----- Containment trees: <stem>.json per image, annotations nested by parent_id -----
+// Annotations without a parent on the same image are roots. No images are copied.
+function exportTree(coco, { outDir }) {
+  const { nameById } = classIndex(coco);
+  const byImage = annotationsByImage(coco);
+  ensureDir(outDir);
+
+  for (const img of coco.images) {
+    const anns = byImage.get(img.id);
+    const nodes = new Map(
+      anns.map((a) => [
+        a.id,
+        {
+          id: a.id,
+          category: nameById.get(a.category_id),
+          bbox: a.bbox,
+          ...(a.attributes ? { attributes: a.attributes } : {}),
+          children: [],
+        },
+      ])
+    );
+    const roots = [];
+    for (const a of anns) {
+      const parent = a.parent_id != null ? nodes.get(a.parent_id) : null;
+      (parent ? parent.children : roots).push(nodes.get(a.id));
+    }
+    const tree = {
+      image: {
+        id: img.id,
+        file_name: img.file_name,
+        width: img.width,
+        height: img.height,
+      },
+      roots,
+    };
+    fs.writeFileSync(
+      path.join(outDir, `${stem(img.file_name)}.json`),
+      JSON.stringify(tree, null, 2),
+      "utf8"
+    );
+  }
+  return coco.images.length;
+}
+
+// ----- Interaction transitions: transitions.jsonl, one before/after pair per line -----
+// Built from images carrying a "transition" (see interactions.js); action boxes are in the before
+// image's pixels. No images are copied.
+function exportTransitions(coco, { outDir }) {
+  const byId = new Map(coco.images.map((img) => [img.id, img]));
+  const ref = (img) => ({
+    id: img.id,
+    file_name: img.file_name,
+    width: img.width,
+    height: img.height,
+  });
+  const lines = [];
+  for (const img of coco.images) {
+    const before = img.transition && byId.get(img.transition.from);
+    if (!before) continue;
+    lines.push(
+      JSON.stringify({
+        before: ref(before),
+        after: ref(img),
+        interaction: img.transition.interaction,
+        actions: img.transition.actions,
+      })
+    );
+  }
+  ensureDir(outDir);
+  fs.writeFileSync(
+    path.join(outDir, "transitions.jsonl"),
+    lines.length ? lines.join("\n") + "\n" : "",
+    "utf8"
+  );
+  return lines.length;
+}
+
+const EXPORTERS = {
+  yolo: exportYolo,
+  voc: exportVoc,
+  createml: exportCreateML,
+  tree: exportTree,
+  transitions: exportTransitions,
+};
+
+// Export a COCO file to each requested format, into <outRoot>/<format>/.
+// Images are resolved relative to the COCO file unless imagesDir is given.
+function exportDataset(cocoPath, formats, { outRoot, imagesDir } = {}) {
+  // All formats are checked first, so a typo never leaves a partial export behind
+  const unknown = formats.filter((f) => !EXPORTERS[f]);
+  if (unknown.length) {
+    const expected = FORMATS.join("|");
+    throw new Error(
+      `Unknown export format(s) ${unknown.join(", ")} (expected: ${expected})`
+    );
+  }
+  const coco = loadCoco(cocoPath);
+  const srcImages = imagesDir || path.dirname(cocoPath);
+  const root = outRoot || path.join(path.dirname(cocoPath), "exports");
+  const results = {};
+  for (const format of formats) {
+    const outDir = path.join(root, format);
+    results[format] = {
+      outDir,
+      images: EXPORTERS[format](coco, { imagesDir: srcImages, outDir }),
+    };
+  }
+  return results;
+}
+
+module.exports = {
+  FORMATS,
+  exportOptions,
+  loadCoco,
+  classIndex,
+  exportYolo,
+  exportVoc,
+  exportCreateML,
+  exportTree,
+  exportTransitions,
+  exportDataset,
+};
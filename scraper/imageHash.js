@@ -0,0 +1,68 @@
+// imageHash.js
+// Perceptual difference hash (dHash) of PNG screenshots, for spotting near-identical images.
+
+const fs = require("fs");
+
+const { decodePng } = require("./png");
+
+// 64-bit dHash as 16 hex chars: shrink to 9×8 grayscale, compare horizontal neighbours
+function dHash({ width, height, data }) {
+  const W = 9;
+  const H = 8;
+  const gray = new Float64Array(W * H);
+  // Box-average each cell so the hash sees the whole image, not 72 sampled pixels
+  for (let cy = 0; cy < H; cy++) {
+    const y0 = Math.floor((cy * height) / H);
+    const y1 = Math.max(y0 + 1, Math.floor(((cy + 1) * height) / H));
+    for (let cx = 0; cx < W; cx++) {
+      const x0 = Math.floor((cx * width) / W);
+      const x1 = Math.max(x0 + 1, Math.floor(((cx + 1) * width) / W));
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const o = (y * width + x) * 4;
+          sum += 0.299 * data[o] + 0.587 * data[o + 1] + 0.114 * data[o + 2];
+        }
+      }
+      gray[cy * W + cx] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+
+  let hex = "";
+  for (let cy = 0; cy < H; cy++) {
+    let byte = 0;
+    for (let cx = 0; cx < W - 1; cx++) {
+      byte = (byte << 1) | (gray[cy * W + cx] > gray[cy * W + cx + 1] ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, "0");
+  }
+  return hex;
+}
+
+function hashPng(buf) {
+  return dHash(decodePng(buf));
+}
+
+function hashPngFile(file) {
+  return hashPng(fs.readFileSync(file));
+}
+
+// Number of differing bits between two hex hashes
+function hammingDistance(a, b) {
+  let d = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let x = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (x) {
+      d += x & 1;
+      x >>= 1;
+    }
+  }
+  return d;
+}
+
+module.exports = {
+  dHash,
+  hashPng,
+  hashPngFile,
+  hammingDistance,
+};
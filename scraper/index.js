@@ -0,0 +1,43 @@
+// index.js
+// Library entry point: run the crawler, or its capture and link-collection steps, from other Node
+// code on a Browser/Page it already has. Errors are thrown (see errors.js), never process exits.
+//
+//   const { runCapture, CaptureRun } = require("./scraper");
+//   const run = new CaptureRun();
+//   run.on("shotSaved", (shot) => ...);
+//   const result = await runCapture(config, { browser, run });
+
+const { loadConfig, normalizeConfig } = require("./config");
+const { CaptureRun } = require("./run");
+const {
+  launchOptions,
+  checkSelectors,
+  runCapture,
+  buildCategoryColors,
+} = require("./crawler");
+const { captureShot, captureCycle, captureOnPage } = require("./capture");
+const {
+  extractLinkFromTargetHandle,
+  infiniteScrollCollectLinks,
+} = require("./links");
+const { CocoWriter } = require("./coco");
+const errors = require("./errors");
+
+module.exports = {
+  // Orchestration
+  runCapture,
+  checkSelectors,
+  CaptureRun,
+  loadConfig,
+  normalizeConfig,
+  launchOptions,
+  // Building blocks
+  captureShot,
+  captureCycle,
+  captureOnPage,
+  infiniteScrollCollectLinks,
+  extractLinkFromTargetHandle,
+  buildCategoryColors,
+  CocoWriter,
+  ...errors,
+};
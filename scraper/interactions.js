@@ -0,0 +1,359 @@
+// interactions.js
+// Config-driven interaction scripts run on a target component: click, hover, focus, type, press,
+// waitFor and scroll steps, each optionally followed by a capture, with a per-step report.
+// Captures after actions are linked to the shot before them as transitions.
+
+const { toPageRect } = require("./deepQuery");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const ACTIONS = [
+  "click",
+  "hover",
+  "focus",
+  "type",
+  "press",
+  "waitFor",
+  "scroll",
+];
+// What a failed step does to the rest of its script
+const ON_FAIL = [
+  "error", // report, abort the script, count as a failure (default)
+  "stop", // report, end the script quietly (e.g. "no reply button here")
+  "continue", // report, carry on with the next step (and its capture)
+];
+
+// ----- Config → scripts -----
+function normalizeStep(raw, label) {
+  if (!raw || typeof raw !== "object")
+    throw new Error(`"${label}" must be an object.`);
+  if (!ACTIONS.includes(raw.action))
+    throw new Error(`"${label}.action" must be one of: ${ACTIONS.join(", ")}.`);
+  const step = {
+    action: raw.action,
+    selector: raw.selector || null, // inside the component; null = the component (or focus)
+    capture: raw.capture === true,
+    onFail: raw.onFail || "error",
+    timeoutMs: Number.isFinite(raw.timeoutMs)
+      ? raw.timeoutMs
+      : raw.action === "waitFor"
+      ? 5000
+      : 0,
+    waitMs: Number.isFinite(raw.waitMs) ? raw.waitMs : 0, // settle time after the step
+  };
+  if (!ON_FAIL.includes(step.onFail))
+    throw new Error(`"${label}.onFail" must be one of: ${ON_FAIL.join(", ")}.`);
+  if (step.action === "waitFor" && !step.selector)
+    throw new Error(`"${label}.selector" is required for waitFor.`);
+  if (step.action === "type") {
+    if (typeof raw.text !== "string")
+      throw new Error(`"${label}.text" is required for type.`);
+    step.text = raw.text;
+    step.delayMs = Number.isFinite(raw.delayMs) ? raw.delayMs : 30;
+  }
+  if (step.action === "press") {
+    if (!raw.key) throw new Error(`"${label}.key" is required for press.`);
+    step.key = raw.key;
+  }
+  if (step.action === "click")
+    step.delayMs = Number.isFinite(raw.delayMs) ? raw.delayMs : 20;
+  if (step.action === "scroll") {
+    if (raw.to != null && !["top", "bottom"].includes(raw.to))
+      throw new Error(`"${label}.to" must be "top" or "bottom".`);
+    step.to = raw.to || null;
+    step.dx = Number.isFinite(raw.dx) ? raw.dx : 0;
+    step.dy = Number.isFinite(raw.dy) ? raw.dy : 0;
+  }
+  return step;
+}
+
+// Old { componentSelectors, buttonSelector, composerSelector, timeoutMs } interaction: click the
+// button (nothing to do when there is none), wait for the composer, capture either way
+function legacyToScript(name, cfg) {
+  return {
+    name,
+    when: cfg.componentSelectors || [],
+    steps: [
+      { action: "click", selector: cfg.buttonSelector, onFail: "stop" },
+      {
+        action: "waitFor",
+        selector: cfg.composerSelector,
+        timeoutMs: cfg.timeoutMs || 5000,
+        onFail: "continue",
+        capture: true,
+      },
+    ],
+  };
+}
+
+// Page "interactions": an array of { name, when[], steps[] }, or the old object of named
+// click-then-wait interactions
+function normalizeInteractions(raw, label) {
+  if (raw == null) return [];
+  const scripts = Array.isArray(raw)
+    ? raw
+    : Object.entries(raw).map(([name, cfg]) => legacyToScript(name, cfg || {}));
+
+  return scripts.map((s, i) => {
+    const at = `${label}[${i}]`;
+    if (!s || typeof s !== "object")
+      throw new Error(`"${at}" must be an object.`);
+    if (s.when != null && !Array.isArray(s.when))
+      throw new Error(`"${at}.when" must be an array of selectors.`);
+    if (!Array.isArray(s.steps) || !s.steps.length)
+      throw new Error(`"${at}.steps" must be a non-empty array.`);
+    return {
+      name: s.name || `interaction${i + 1}`,
+      when: s.when || [], // component must match one of these; empty = every target
+      steps: s.steps.map((st, j) => normalizeStep(st, `${at}.steps[${j}]`)),
+    };
+  });
+}
+
+// ----- Running -----
+
+// Visible descendants of a component matching selector (with pierce/ fallback)
+async function queryVisibleWithin(rootEl, selector) {
+  let list = [];
+  try {
+    list = await rootEl.$$(selector);
+  } catch {}
+  if (!list.length) {
+    try {
+      list = await rootEl.$$(`pierce/${selector}`);
+    } catch {}
+  }
+  const filtered = [];
+  for (const h of list) {
+    const ok = await h
+      .evaluate((node) => {
+        const s = getComputedStyle(node);
+        if (
+          s.display === "none" ||
+          s.visibility === "hidden" ||
+          s.opacity === "0"
+        )
+          return false;
+        const r = node.getBoundingClientRect();
+        return (
+          r.bottom > 0 &&
+          r.right > 0 &&
+          r.top < innerHeight &&
+          r.left < innerWidth
+        );
+      })
+      .catch(() => false);
+    if (ok) filtered.push(h);
+    else {
+      try {
+        await h.dispose();
+      } catch {}
+    }
+  }
+  return filtered;
+}
+
+// First visible match, polling until timeoutMs; null when none showed up
+async function findWithin(component, selector, timeoutMs) {
+  const start = Date.now();
+  for (;;) {
+    const [first, ...rest] = await queryVisibleWithin(component, selector);
+    for (const h of rest) await h.dispose().catch(() => {});
+    if (first) return first;
+    if (Date.now() - start >= timeoutMs) return null;
+    await sleep(150);
+  }
+}
+
+// Scripts whose "when" selectors the component matches
+async function matchingScripts(component, scripts) {
+  const out = [];
+  for (const script of scripts) {
+    if (!script.when.length) {
+      out.push(script);
+      continue;
+    }
+    const ok = await component
+      .evaluate(
+        (node, selectors) =>
+          selectors.some((sel) => {
+            try {
+              return node.matches(sel);
+            } catch {
+              return false;
+            }
+          }),
+        script.when
+      )
+      .catch(() => false);
+    if (ok) out.push(script);
+  }
+  return out;
+}
+
+// Element's box in document CSS px (frames resolved), as it was when acted on
+async function documentRect(page, el) {
+  const box = await el.evaluate((node) => {
+    const r = node.getBoundingClientRect();
+    return { left: r.left, top: r.top, right: r.right, bottom: r.bottom };
+  });
+  const rect = toPageRect(el, box);
+  const { x, y } = await page.evaluate(() => ({
+    x: window.scrollX,
+    y: window.scrollY,
+  }));
+  return {
+    left: rect.left + x,
+    top: rect.top + y,
+    right: rect.right + x,
+    bottom: rect.bottom + y,
+  };
+}
+
+// Performs one step; resolves to what was acted on ({ action, selector, rect, text|key }), or
+// null for waitFor
+async function runStep(page, component, step) {
+  let el = component;
+  let owned = false;
+  if (step.selector) {
+    el = await findWithin(component, step.selector, step.timeoutMs);
+    if (!el)
+      throw new Error(
+        step.timeoutMs
+          ? `"${step.selector}" not visible after ${step.timeoutMs}ms`
+          : `"${step.selector}" not found`
+      );
+    owned = true;
+  }
+  // Keys without a selector go to the focused element, whose box is not known here
+  const acted =
+    step.action === "waitFor"
+      ? null
+      : {
+          action: step.action,
+          selector: step.selector,
+          rect:
+            owned || !["type", "press"].includes(step.action)
+              ? await documentRect(page, el).catch(() => null)
+              : null,
+          ...(step.action === "type" ? { text: step.text } : {}),
+          ...(step.action === "press" ? { key: step.key } : {}),
+        };
+  try {
+    switch (step.action) {
+      case "click":
+        await el.click({ delay: step.delayMs });
+        break;
+      case "hover":
+        await el.hover();
+        break;
+      case "focus":
+        await el.focus();
+        break;
+      // Without a selector, keys go to whatever has focus (e.g. after a click)
+      case "type":
+        if (owned) await el.type(step.text, { delay: step.delayMs });
+        else await page.keyboard.type(step.text, { delay: step.delayMs });
+        break;
+      case "press":
+        if (owned) await el.press(step.key);
+        else await page.keyboard.press(step.key);
+        break;
+      case "waitFor":
+        break; // found above
+      case "scroll":
+        await el.evaluate(
+          (node, { to, dx, dy }) => {
+            if (to === "top") node.scrollTop = 0;
+            else if (to === "bottom") node.scrollTop = node.scrollHeight;
+            node.scrollBy(dx, dy);
+          },
+          { to: step.to, dx: step.dx, dy: step.dy }
+        );
+        break;
+    }
+  } finally {
+    if (owned) await el.dispose().catch(() => {});
+  }
+  if (step.waitMs) await sleep(step.waitMs);
+  return acted;
+}
+
+// Acted-on boxes in the pixels of the image taken before the actions. frame is that image's
+// placement: { left, top } of its top-left corner in document CSS px and { scaleX, scaleY } image
+// px per CSS px. Boxes are cut to the image; an element outside it gets bbox null.
+function actionsInImage(actions, frame) {
+  return actions.map(({ rect, ...a }) => {
+    if (!rect || !frame) return { ...a, bbox: null };
+    const x1 = Math.max(0, (rect.left - frame.left) * frame.scaleX);
+    const y1 = Math.max(0, (rect.top - frame.top) * frame.scaleY);
+    const x2 = Math.min(frame.width, (rect.right - frame.left) * frame.scaleX);
+    const y2 = Math.min(frame.height, (rect.bottom - frame.top) * frame.scaleY);
+    const bbox =
+      x2 > x1 && y2 > y1
+        ? [x1, y1, x2 - x1, y2 - y1].map((v) => Math.round(v))
+        : null;
+    return { ...a, bbox };
+  });
+}
+
+// Runs one script on a component. capture(actions) is called after each step with capture: true,
+// with the actions performed since the previous capture (rects in document CSS px).
+// Returns [{ step, action, selector, ok, error, ms }]; a step failing with onFail "error" is
+// marked fatal so the caller can count it. Each step runs through inFront(fn), e.g. to take
+// turns with other tabs; the capture after it is left to capture() itself.
+async function runInteraction({
+  page,
+  component,
+  script,
+  capture,
+  isStopped = () => false,
+  inFront = (fn) => fn(),
+}) {
+  const results = [];
+  const n = script.steps.length;
+  let pending = []; // actions since the last capture
+  for (const [i, step] of script.steps.entries()) {
+    if (isStopped()) break;
+    const what = `${step.action}${step.selector ? ` ${step.selector}` : ""}`;
+    const prefix = `   ↳ ${script.name} · ${i + 1}/${n} ${what}`;
+    const start = Date.now();
+    let error = null;
+    try {
+      const acted = await inFront(() => runStep(page, component, step));
+      if (acted) pending.push(acted);
+    } catch (e) {
+      error = e.message;
+    }
+    const ms = Date.now() - start;
+    const fatal = !!error && step.onFail === "error";
+    results.push({
+      step: i + 1,
+      action: step.action,
+      selector: step.selector,
+      ok: !error,
+      error,
+      fatal,
+      ms,
+    });
+
+    if (!error) console.log(`${prefix} ✅ ${ms}ms`);
+    else if (fatal) console.warn(`${prefix} ❌ ${error}`);
+    else console.log(`${prefix} ⚠️ ${error} (${step.onFail})`);
+
+    if (error && step.onFail !== "continue") break;
+    if (step.capture) {
+      await capture(pending);
+      pending = [];
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  ACTIONS,
+  normalizeInteractions,
+  matchingScripts,
+  runInteraction,
+  actionsInImage,
+};
@@ -0,0 +1,104 @@
+// links.js
+// Child-page links of a page: the href inside each container element (e.g. a feed card), gathered
+// while scrolling until enough are found or the page stops growing.
+
+const { deepQueryAll } = require("./deepQuery");
+const { CaptureRun } = require("./run");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function extractLinkFromTargetHandle(
+  page,
+  el,
+  openSelector,
+  fallbackSelectors = []
+) {
+  const href = await el.evaluate(
+    (node, sel, fallbacks) => {
+      function findIn(node, sel) {
+        try {
+          if (node.matches(sel) && node.href) return node.href;
+          const cand = node.querySelector(sel);
+          if (cand && cand.href) return cand.href;
+        } catch {}
+        return null;
+      }
+      for (const s of [sel, ...fallbacks]) {
+        const found = findIn(node, s);
+        if (found) return found;
+      }
+      return null;
+    },
+    openSelector,
+    fallbackSelectors
+  );
+  return href;
+}
+
+async function infiniteScrollCollectLinks(
+  page,
+  selectors,
+  {
+    includeIframes,
+    maxCount,
+    stepVH,
+    sleepMs,
+    stableRounds,
+    openSelector,
+    fallbackSelectors,
+    run = new CaptureRun(), // paused/stopped runs stop scrolling for more
+  }
+) {
+  const urls = new Set();
+
+  const harvest = async () => {
+    for (const sel of selectors) {
+      let els = await deepQueryAll(page, sel, { includeIframes }).catch(
+        () => []
+      );
+      if (!els.length) {
+        try {
+          els = await page.$$(`pierce/${sel}`);
+        } catch {}
+      }
+      for (const el of els) {
+        const href = await extractLinkFromTargetHandle(
+          page,
+          el,
+          openSelector,
+          fallbackSelectors
+        ).catch(() => null);
+        if (href) urls.add(href);
+        try {
+          await el.dispose();
+        } catch {}
+      }
+    }
+  };
+
+  await harvest();
+  let stable = 0;
+  while (urls.size < maxCount && stable < stableRounds) {
+    if (!(await run.proceed())) {
+      console.log("🛑 Stopped by user");
+      return Array.from(urls);
+    }
+
+    await page.evaluate(
+      (vh) => window.scrollBy(0, window.innerHeight * vh),
+      stepVH
+    );
+    await sleep(sleepMs);
+    const before = urls.size;
+    await harvest();
+    if (urls.size > before) stable = 0;
+    else stable += 1;
+  }
+
+  return Array.from(urls).slice(0, maxCount);
+}
+
+module.exports = {
+  extractLinkFromTargetHandle,
+  infiniteScrollCollectLinks,
+};
@@ -0,0 +1,272 @@
+// merge.js
+// Merges the COCO output of several capture runs into one dataset: categories unified by name,
+// image/annotation ids renumbered, images copied (renamed on file-name clashes), byte-identical
+// images merged into one (annotations included) and, with --dedupe, near-identical ones dropped.
+
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+
+const { loadCoco } = require("./exporters");
+const { hashPngFile, hammingDistance } = require("./imageHash");
+const { EXIT_CODES } = require("./cli");
+
+const USAGE = `Usage: node scraper/merge.js -o <outDir> <run dir or coco json>... [options]
+
+Options:
+  -o, --out <dir>            Output directory for the merged images + COCO file (required)
+      --output-file <name>   Merged COCO file name (default: annotations.coco.json)
+      --dedupe <distance>    Also drop near-identical images: dHash distance <= <distance> (0-64)
+  -h, --help                 Show this help
+
+Exact byte-identical images are always merged into one, keeping the annotations of each copy.`;
+
+const toSafe = (s) =>
+  String(s)
+    .replace(/[^\w.-]+/g, "_")
+    .slice(0, 120);
+
+function parseMergeArgs(argv) {
+  const opts = {
+    inputs: [],
+    outDir: null,
+    outputFile: "annotations.coco.json",
+    dedupe: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      const v = argv[++i];
+      if (v == null) throw new Error(`Missing value for ${arg}`);
+      return v;
+    };
+    if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (arg === "-o" || arg === "--out") opts.outDir = next();
+    else if (arg === "--output-file") opts.outputFile = next();
+    else if (arg === "--dedupe") {
+      const n = Number(next());
+      if (!Number.isInteger(n) || n < 0 || n > 64)
+        throw new Error("--dedupe expects an integer between 0 and 64");
+      opts.dedupe = n;
+    } else if (arg.startsWith("-")) throw new Error(`Unknown option: ${arg}`);
+    else opts.inputs.push(arg);
+  }
+  return opts;
+}
+
+// A run directory holds one *.coco.json (or annotations.json); a file path is used as-is
+function resolveCocoPath(input) {
+  const p = path.resolve(input);
+  if (!fs.existsSync(p)) throw new Error(`Input not found: ${input}`);
+  if (fs.statSync(p).isFile()) return p;
+  const candidates = fs
+    .readdirSync(p)
+    .filter((f) => f.endsWith(".coco.json") || f === "annotations.json");
+  if (candidates.length !== 1)
+    throw new Error(
+      `Expected exactly one *.coco.json in ${input}, found ${candidates.length}`
+    );
+  return path.join(p, candidates[0]);
+}
+
+const sha1File = (file) =>
+  crypto.createHash("sha1").update(fs.readFileSync(file)).digest("hex");
+
+function mergeDatasets(inputs, { outDir, outputFile, dedupe = null }) {
+  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+
+  const categories = [];
+  const catIdByName = new Map();
+  const images = [];
+  const annotations = [];
+  const usedNames = new Set();
+  const contentHashes = new Map(); // sha1 -> merged image id
+  const annotationKeys = new Map(); // "image|category|bbox" -> merged annotation id
+  const perceptual = []; // { id, hash }
+  const stats = {
+    images: 0,
+    exactDuplicates: 0,
+    mergedAnnotations: 0,
+    nearDuplicates: 0,
+    renamed: 0,
+  };
+  let info = null;
+
+  for (const [runIndex, input] of inputs.entries()) {
+    const cocoPath = resolveCocoPath(input);
+    const srcDir = path.dirname(cocoPath);
+    const coco = loadCoco(cocoPath);
+    info = info || coco.info;
+    const runTag = toSafe(path.basename(srcDir)) || `run${runIndex + 1}`;
+
+    // Categories: same name → same id, whatever id the run used
+    const catMap = new Map();
+    for (const c of coco.categories) {
+      if (!catIdByName.has(c.name)) {
+        const id = categories.length + 1;
+        categories.push({
+          id,
+          name: c.name,
+          supercategory: c.supercategory || "annotation",
+        });
+        catIdByName.set(c.name, id);
+      }
+      catMap.set(c.id, catIdByName.get(c.name));
+    }
+
+    const imageMap = new Map();
+    const sharedImages = new Set(); // this run's ids of images merged into an earlier copy
+    const runImagesStart = images.length;
+    for (const img of coco.images) {
+      const src = path.join(srcDir, img.file_name);
+      if (!fs.existsSync(src)) {
+        console.warn(`⚠️ Missing image, skipped: ${src}`);
+        continue;
+      }
+
+      const sha1 = sha1File(src);
+      if (contentHashes.has(sha1)) {
+        // Same screenshot: its annotations go onto the copy already kept
+        imageMap.set(img.id, contentHashes.get(sha1));
+        sharedImages.add(img.id);
+        stats.exactDuplicates += 1;
+        continue;
+      }
+      let phash = null;
+      if (dedupe != null) {
+        try {
+          phash = hashPngFile(src);
+        } catch (e) {
+          console.warn(`⚠️ Could not hash ${src}: ${e.message}`);
+        }
+        if (
+          phash &&
+          perceptual.some((p) => hammingDistance(p.hash, phash) <= dedupe)
+        ) {
+          stats.nearDuplicates += 1;
+          continue;
+        }
+      }
+
+      // File-name clash with a different image: prefix with the run's directory name
+      let fileName = img.file_name;
+      if (usedNames.has(fileName)) {
+        const base = `${runTag}__${img.file_name}`;
+        fileName = base;
+        for (let n = 2; usedNames.has(fileName); n++) {
+          const { name, ext } = path.parse(base);
+          fileName = `${name}_${n}${ext}`;
+        }
+        stats.renamed += 1;
+      }
+      usedNames.add(fileName);
+      fs.copyFileSync(src, path.join(outDir, fileName));
+
+      const id = images.length + 1;
+      images.push({ ...img, id, file_name: fileName });
+      imageMap.set(img.id, id);
+      contentHashes.set(sha1, id);
+      if (phash) perceptual.push({ id, hash: phash });
+      stats.images += 1;
+    }
+
+    // variant_of and transition.from point at other images of the same run; a transition whose
+    // before image was dropped is no longer a pair
+    for (const img of images.slice(runImagesStart)) {
+      if (img.variant_of != null)
+        img.variant_of = imageMap.get(img.variant_of) ?? null;
+      if (img.transition) {
+        const from = imageMap.get(img.transition.from);
+        if (from) img.transition = { ...img.transition, from };
+        else delete img.transition;
+      }
+    }
+
+    const annMap = new Map();
+    const runAnnotations = [];
+    for (const a of coco.annotations) {
+      const imageId = imageMap.get(a.image_id);
+      const categoryId = catMap.get(a.category_id);
+      if (!imageId || !categoryId) continue;
+      // A box the kept copy of a shared image already has is the same annotation
+      const key = `${imageId}|${categoryId}|${(a.bbox || []).join(",")}`;
+      if (sharedImages.has(a.image_id) && annotationKeys.has(key)) {
+        annMap.set(a.id, annotationKeys.get(key));
+        stats.mergedAnnotations += 1;
+        continue;
+      }
+      const id = annotations.length + runAnnotations.length + 1;
+      annMap.set(a.id, id);
+      if (!annotationKeys.has(key)) annotationKeys.set(key, id);
+      runAnnotations.push({
+        ...a,
+        id,
+        image_id: imageId,
+        category_id: categoryId,
+      });
+    }
+    // parent_id points into the same run; renumber it once every id is known
+    for (const a of runAnnotations) {
+      if (a.parent_id != null) a.parent_id = annMap.get(a.parent_id) ?? null;
+    }
+    annotations.push(...runAnnotations);
+  }
+
+  const merged = {
+    info: {
+      ...(info || {}),
+      description: `Merged from ${inputs.length} run(s)${
+        info?.description ? `: ${info.description}` : ""
+      }`,
+      date_created: new Date().toISOString().slice(0, 10),
+    },
+    images,
+    annotations,
+    categories,
+    licenses: [],
+  };
+  const outPath = path.join(outDir, outputFile);
+  fs.writeFileSync(outPath, JSON.stringify(merged, null, 2), "utf8");
+  return { outPath, stats: { ...stats, annotations: annotations.length } };
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseMergeArgs(process.argv.slice(2));
+    if (!opts.help && !opts.outDir) throw new Error("Missing --out <dir>");
+    if (!opts.help && !opts.inputs.length)
+      throw new Error("Give at least one run directory or COCO file");
+  } catch (e) {
+    console.error(`❌ ${e.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  try {
+    const { outPath, stats } = mergeDatasets(opts.inputs, {
+      outDir: path.resolve(opts.outDir),
+      outputFile: opts.outputFile,
+      dedupe: opts.dedupe,
+    });
+    console.log(
+      `🧩 Merged ${stats.images} image(s), ${
+        stats.annotations
+      } annotation(s) → ${path.relative(process.cwd(), outPath)}`
+    );
+    console.log(
+      `   renamed: ${stats.renamed}, exact duplicates: ${stats.exactDuplicates} (${stats.mergedAnnotations} annotation(s) shared), near duplicates: ${stats.nearDuplicates}`
+    );
+    return EXIT_CODES.OK;
+  } catch (e) {
+    console.error("❌ Merge failed:", e.message);
+    return EXIT_CODES.FATAL;
+  }
+}
+
+if (require.main === module) process.exitCode = main();
+
+module.exports = { mergeDatasets };
@@ -0,0 +1,226 @@
+// netArchive.js
+// Record-and-replay of network traffic: "record" saves every response the run's tabs receive,
+// "replay" serves them back through request interception so a run can be repeated offline
+// against identical content.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MODES = ["off", "record", "replay"];
+const ON_MISS = ["abort", "404"];
+const INDEX_FILE = "index.json";
+const INDEX_VERSION = 1;
+const SAVE_EVERY = 50; // new entries between index writes while recording
+// Interception priorities (Puppeteer's cooperative mode): the request policy's blocks and
+// placeholders (2) win over replayed responses, which win over letting a request through
+const PRIORITY = { replay: 1, passThrough: 0 };
+
+// Set by the browser from the body it actually delivers, not by the archive
+const DROP_HEADERS = new Set([
+  "content-encoding",
+  "content-length",
+  "transfer-encoding",
+  "connection",
+]);
+
+const sha1 = (data) => crypto.createHash("sha1").update(data).digest("hex");
+
+// Config block → options; mode "off" leaves the network alone (--record / --replay override it)
+function archiveOptions(cfg = {}) {
+  const opts = {
+    mode: cfg?.mode || "off",
+    dir: cfg?.dir || "archive",
+    onMiss: cfg?.onMiss || "abort", // unrecorded request during replay
+    ignoreParams: cfg?.ignoreParams || [], // query params left out of the match (cache busters)
+  };
+  if (!MODES.includes(opts.mode))
+    throw new Error(`"archive.mode" must be one of: ${MODES.join(", ")}.`);
+  if (!ON_MISS.includes(opts.onMiss))
+    throw new Error(`"archive.onMiss" must be one of: ${ON_MISS.join(", ")}.`);
+  if (!Array.isArray(opts.ignoreParams))
+    throw new Error(`"archive.ignoreParams" must be an array of names.`);
+  return opts;
+}
+
+class NetworkArchive {
+  // dir: archive root (index.json + bodies/)
+  constructor({ mode, dir, onMiss = "abort", ignoreParams = [] }) {
+    this.mode = mode;
+    this.dir = dir;
+    this.bodiesDir = path.join(dir, "bodies");
+    this.indexPath = path.join(dir, INDEX_FILE);
+    this.onMiss = onMiss;
+    this.ignoreParams = new Set(ignoreParams);
+    this.entries = {}; // request key -> { method, url, status, headers, body }
+    this.byUrl = new Map(); // "METHOD url" -> first key, for POSTs whose body changed
+    this.pages = new WeakSet();
+    this.unsaved = 0;
+    this.stats = { recorded: 0, served: 0, missed: 0 };
+    this.missExamples = [];
+  }
+
+  // Load the index (required for replay; record mode extends an existing archive)
+  open() {
+    if (fs.existsSync(this.indexPath)) {
+      const saved = JSON.parse(fs.readFileSync(this.indexPath, "utf8"));
+      if (saved.version !== INDEX_VERSION)
+        throw new Error(
+          `Unsupported archive version ${saved.version} in ${this.indexPath}`
+        );
+      this.entries = saved.entries || {};
+      for (const [key, e] of Object.entries(this.entries))
+        this.indexUrl(key, e);
+    } else if (this.mode === "replay") {
+      throw new Error(`No recorded archive at ${this.indexPath}`);
+    }
+    if (this.mode === "record")
+      fs.mkdirSync(this.bodiesDir, { recursive: true });
+    return Object.keys(this.entries).length;
+  }
+
+  save() {
+    if (this.mode !== "record") return;
+    const tmp = `${this.indexPath}.tmp`;
+    fs.writeFileSync(
+      tmp,
+      JSON.stringify({ version: INDEX_VERSION, entries: this.entries }),
+      "utf8"
+    );
+    fs.renameSync(tmp, this.indexPath);
+    this.unsaved = 0;
+  }
+
+  // ----- Request keys -----
+  normalizeUrl(url) {
+    const u = new URL(url);
+    u.hash = "";
+    for (const name of this.ignoreParams) u.searchParams.delete(name);
+    return u.toString();
+  }
+
+  keyOf(request) {
+    const method = request.method();
+    const url = this.normalizeUrl(request.url());
+    const post = request.postData();
+    return `${method} ${url}${post ? ` #${sha1(post)}` : ""}`;
+  }
+
+  indexUrl(key, e) {
+    const loose = `${e.method} ${e.url}`;
+    if (!this.byUrl.has(loose)) this.byUrl.set(loose, key);
+  }
+
+  lookup(request) {
+    const exact = this.entries[this.keyOf(request)];
+    if (exact) return exact;
+    const loose = `${request.method()} ${this.normalizeUrl(request.url())}`;
+    return this.entries[this.byUrl.get(loose)] || null;
+  }
+
+  // ----- Tabs -----
+  // Hook a tab up (once) before it navigates
+  async attach(page) {
+    if (this.pages.has(page)) return;
+    this.pages.add(page);
+    // Service workers would answer from their own cache, out of the archive's sight
+    await page.setBypassServiceWorker(true);
+    if (this.mode === "record") page.on("response", (res) => this.record(res));
+    else {
+      await page.setRequestInterception(true);
+      page.on("request", (req) => this.replay(req));
+    }
+  }
+
+  async record(response) {
+    const request = response.request();
+    const url = request.url();
+    if (!/^https?:/.test(url)) return;
+    const key = this.keyOf(request);
+    if (this.entries[key]) return; // first response wins, like the first page load
+
+    const status = response.status();
+    const headers = {};
+    for (const [k, v] of Object.entries(response.headers())) {
+      if (!DROP_HEADERS.has(k)) headers[k] = v;
+    }
+    let body = null;
+    // Redirects and some aborted/cached responses have no retrievable body
+    if (status < 300 || status >= 400) {
+      try {
+        const buf = await response.buffer();
+        body = sha1(buf);
+        const file = path.join(this.bodiesDir, body);
+        if (!fs.existsSync(file)) fs.writeFileSync(file, buf);
+      } catch {
+        body = null;
+      }
+    }
+    if (this.entries[key]) return; // the same request answered while the body was read
+    const entry = {
+      method: request.method(),
+      url: this.normalizeUrl(url),
+      status,
+      headers,
+      body,
+    };
+    this.entries[key] = entry;
+    this.indexUrl(key, entry);
+    this.stats.recorded += 1;
+    this.unsaved += 1;
+    if (this.unsaved >= SAVE_EVERY) {
+      try {
+        this.save();
+      } catch (e) {
+        console.warn("⚠️ Failed to save network archive:", e.message);
+      }
+    }
+  }
+
+  async replay(request) {
+    if (request.isInterceptResolutionHandled()) return;
+    const url = request.url();
+    if (!/^https?:/.test(url))
+      return request
+        .continue(request.continueRequestOverrides(), PRIORITY.passThrough)
+        .catch(() => {});
+
+    const entry = this.lookup(request);
+    if (!entry) {
+      this.stats.missed += 1;
+      if (this.missExamples.length < 5) this.missExamples.push(url);
+      return (
+        this.onMiss === "404"
+          ? request.respond({ status: 404, body: "" }, PRIORITY.replay)
+          : request.abort("internetdisconnected", PRIORITY.replay)
+      ).catch(() => {}); // tab closed meanwhile
+    }
+    let body = "";
+    if (entry.body) {
+      try {
+        body = fs.readFileSync(path.join(this.bodiesDir, entry.body));
+      } catch {}
+    }
+    this.stats.served += 1;
+    return request
+      .respond(
+        { status: entry.status, headers: entry.headers, body },
+        PRIORITY.replay
+      )
+      .catch(() => {});
+  }
+
+  summary() {
+    if (this.mode === "record")
+      return `${this.stats.recorded} response(s) recorded in ${this.dir}`;
+    const examples = this.missExamples.length
+      ? ` (e.g. ${this.missExamples.join(", ")})`
+      : "";
+    return `${this.stats.served} response(s) replayed from ${this.dir}, ${this.stats.missed} request(s) not in the archive${examples}`;
+  }
+}
+
+module.exports = {
+  archiveOptions,
+  NetworkArchive,
+};
@@ -0,0 +1,58 @@
+// occlusion.js
+// Hit-test sampling of an element's on-screen box to estimate how much of it is actually visible
+// (not covered by sticky headers, modals, overlays...).
+//
+// Limits: elementFromPoint only answers for the viewport, so in fullPage/element shots the boxes
+// outside it get no fraction and are kept unchecked (captureShot logs how many). Inside an
+// iframe it only sees that frame's document: overlays drawn by the page around the frame are not
+// noticed. Both are why occlusion filtering is off unless "occlusion.enabled" is true.
+
+// ----- In-page: runs inside the browser via el.evaluate(), so it must stay self-contained -----
+// Samples a grid×grid lattice over the viewport-clipped box. A sample counts as visible when the
+// topmost element there is the node itself, one of its descendants, or one of its ancestors
+// (pointer-events:none icons hit-test through to their parent button). Returns a 0..1 fraction,
+// or null when the box is not on screen at all.
+function visibleFraction(node, { grid = 5 } = {}) {
+  const doc = node.ownerDocument;
+  const win = doc.defaultView;
+  const r = node.getBoundingClientRect();
+  const x1 = Math.max(0, r.left);
+  const y1 = Math.max(0, r.top);
+  const x2 = Math.min(win.innerWidth, r.right);
+  const y2 = Math.min(win.innerHeight, r.bottom);
+  if (x2 <= x1 || y2 <= y1) return null;
+
+  // elementFromPoint stops at shadow hosts; descend into open shadow roots
+  const deepHit = (x, y) => {
+    let el = doc.elementFromPoint(x, y);
+    while (el && el.shadowRoot) {
+      const inner = el.shadowRoot.elementFromPoint(x, y);
+      if (!inner || inner === el) break;
+      el = inner;
+    }
+    return el;
+  };
+  // contains() across shadow boundaries
+  const composedContains = (outer, inner) => {
+    for (let n = inner; n; n = n.parentNode || n.host) {
+      if (n === outer) return true;
+    }
+    return false;
+  };
+
+  let hits = 0;
+  let samples = 0;
+  for (let i = 0; i < grid; i++) {
+    for (let j = 0; j < grid; j++) {
+      const x = x1 + ((i + 0.5) / grid) * (x2 - x1);
+      const y = y1 + ((j + 0.5) / grid) * (y2 - y1);
+      samples += 1;
+      const hit = deepHit(x, y);
+      if (hit && (composedContains(node, hit) || composedContains(hit, node)))
+        hits += 1;
+    }
+  }
+  return samples ? hits / samples : null;
+}
+
+module.exports = { visibleFraction };
@@ -0,0 +1,237 @@
+// png.js
+// Minimal PNG decoder for the screenshots this tool writes (8-bit, non-interlaced, gray/RGB/RGBA).
+// Always returns RGBA pixels. Also encodes RGBA pixels (e.g. crops) back to PNG.
+
+const zlib = require("zlib");
+
+const SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 }; // color type -> samples per pixel
+
+function checkSignature(buf) {
+  if (!Buffer.isBuffer(buf) || !buf.subarray(0, 8).equals(SIGNATURE))
+    throw new Error("Not a PNG file");
+}
+
+// Image size from the IHDR chunk, without decoding pixels
+function pngSize(buf) {
+  checkSignature(buf);
+  if (buf.toString("ascii", 12, 16) !== "IHDR")
+    throw new Error("PNG has no IHDR chunk");
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+// IHDR fields and the IDAT chunks (the compressed pixel data) of a PNG file
+function readChunks(buf) {
+  checkSignature(buf);
+
+  let width = 0;
+  let height = 0;
+  let colorType = 0;
+  const idat = [];
+  let off = 8;
+  while (off < buf.length) {
+    const len = buf.readUInt32BE(off);
+    const type = buf.toString("ascii", off + 4, off + 8);
+    const data = buf.subarray(off + 8, off + 8 + len);
+    if (type === "IHDR") {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      const bitDepth = data[8];
+      colorType = data[9];
+      const interlace = data[12];
+      if (bitDepth !== 8 || !CHANNELS[colorType] || interlace !== 0)
+        throw new Error(
+          `Unsupported PNG (bit depth ${bitDepth}, color type ${colorType}, interlace ${interlace})`
+        );
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+    off += 12 + len;
+  }
+  if (!width || !height) throw new Error("PNG has no IHDR chunk");
+  return { width, height, colorType, idat };
+}
+
+// Turns inflated scanlines, fed in pieces of any size, into RGBA rows y1..y2 - 1. Filters refer
+// to the row above, so every row before y2 is unfiltered, but only the scanline being read and
+// the one above it are kept besides the output. push() returns true once row y2 - 1 is done.
+class RowDecoder {
+  constructor({ width, height, colorType }, { top = 0, bottom = Infinity }) {
+    this.width = width;
+    this.bpp = CHANNELS[colorType];
+    this.stride = width * this.bpp;
+    this.y1 = Math.max(0, Math.min(height, Math.floor(top)));
+    this.y2 = Math.max(this.y1, Math.min(height, Math.ceil(bottom)));
+    this.y = 0;
+    this.line = Buffer.alloc(this.stride + 1); // filter byte + raw samples
+    this.filled = 0;
+    this.prev = Buffer.alloc(this.stride); // the row above the first one counts as zeros
+    this.cur = Buffer.alloc(this.stride);
+    this.data = Buffer.alloc(width * (this.y2 - this.y1) * 4);
+  }
+
+  get done() {
+    return this.y >= this.y2;
+  }
+
+  push(chunk) {
+    for (let pos = 0; pos < chunk.length && !this.done; ) {
+      const n = Math.min(this.line.length - this.filled, chunk.length - pos);
+      chunk.copy(this.line, this.filled, pos, pos + n);
+      this.filled += n;
+      pos += n;
+      if (this.filled === this.line.length) {
+        this.row();
+        this.filled = 0;
+      }
+    }
+    return this.done;
+  }
+
+  row() {
+    const { bpp, stride, line, prev, cur } = this;
+    // Undo the scanline filter (None, Sub, Up, Average, Paeth)
+    const filter = line[0];
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? cur[x - bpp] : 0;
+      const b = prev[x];
+      const c = x >= bpp ? prev[x - bpp] : 0;
+      let v = line[x + 1];
+      if (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        v += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      cur[x] = v & 0xff;
+    }
+
+    if (this.y >= this.y1) {
+      const data = this.data;
+      const rowOut = (this.y - this.y1) * this.width * 4;
+      for (let i = 0, j = 0; i < this.width; i++, j += bpp) {
+        const o = rowOut + i * 4;
+        if (bpp >= 3) {
+          data[o] = cur[j];
+          data[o + 1] = cur[j + 1];
+          data[o + 2] = cur[j + 2];
+        } else {
+          data[o] = data[o + 1] = data[o + 2] = cur[j];
+        }
+        data[o + 3] = bpp === 4 ? cur[j + 3] : bpp === 2 ? cur[j + 1] : 255;
+      }
+    }
+    [this.prev, this.cur] = [cur, prev];
+    this.y += 1;
+  }
+
+  result() {
+    if (!this.done) throw new Error("PNG pixel data ends early");
+    return {
+      width: this.width,
+      height: this.y2 - this.y1,
+      top: this.y1,
+      data: this.data,
+    };
+  }
+}
+
+// The whole image as RGBA: { width, height, top: 0, data }
+function decodePng(buf) {
+  const png = readChunks(buf);
+  const rows = new RowDecoder(png, {});
+  rows.push(zlib.inflateSync(Buffer.concat(png.idat)));
+  return rows.result();
+}
+
+// Rows top..bottom - 1 as RGBA: { width, height, top, data } (height = rows returned). The pixel
+// data is inflated as a stream and dropped scanline by scanline, and inflating stops after the
+// last row asked for: a full-page screenshot is hundreds of MB once inflated.
+function decodePngRows(buf, band) {
+  const png = readChunks(buf);
+  const rows = new RowDecoder(png, band);
+  if (rows.done) return Promise.resolve(rows.result());
+  return new Promise((resolve, reject) => {
+    const inflate = zlib.createInflate();
+    inflate.on("data", (chunk) => {
+      if (!rows.push(chunk)) return;
+      inflate.destroy();
+      resolve(rows.result());
+    });
+    inflate.on("error", reject);
+    inflate.on("end", () => {
+      try {
+        resolve(rows.result());
+      } catch (e) {
+        reject(e);
+      }
+    });
+    for (const chunk of png.idat) inflate.write(chunk);
+    inflate.end();
+  });
+}
+
+// ----- Encoding -----
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(buf) {
+  let c = -1;
+  for (let i = 0; i < buf.length; i++)
+    c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+function chunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, "ascii");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+// RGBA pixels → 8-bit RGBA PNG (every scanline with the Sub filter, which suits flat UI colors)
+function encodePng({ width, height, data }) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const src = y * stride;
+    const dst = y * (stride + 1);
+    raw[dst] = 1;
+    for (let x = 0; x < stride; x++)
+      raw[dst + 1 + x] = data[src + x] - (x >= 4 ? data[src + x - 4] : 0);
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+  return Buffer.concat([
+    SIGNATURE,
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// Rectangle of an RGBA image ({ x, y, width, height } in whole pixels, inside the image)
+function cropPixels(img, { x, y, width, height }) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let row = 0; row < height; row++) {
+    const src = ((y + row) * img.width + x) * 4;
+    img.data.copy(data, row * width * 4, src, src + width * 4);
+  }
+  return { width, height, data };
+}
+
+module.exports = { decodePng, decodePngRows, encodePng, cropPixels, pngSize };
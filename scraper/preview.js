@@ -0,0 +1,141 @@
+// preview.js
+// Debug previews: the clean screenshot redrawn in a helper tab with the COCO boxes (and masks) just
+// recorded for it, outlined in category colors and labelled, so the preview shows what was saved.
+
+const fs = require("fs");
+const path = require("path");
+
+// Config block → options, or null when disabled
+function previewOptions(cfg = {}) {
+  if (!cfg || cfg.enabled !== true) return null;
+  const opts = {
+    dir: cfg.dir || "previews",
+    labels: cfg.labels !== false,
+    segmentation: cfg.segmentation !== false, // draw polygon masks as well as boxes
+    lineWidth: Number.isFinite(cfg.lineWidth) ? cfg.lineWidth : 2,
+  };
+  if (opts.lineWidth <= 0)
+    throw new Error(`"preview.lineWidth" must be a positive number.`);
+  return opts;
+}
+
+const escapeXml = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Image + SVG overlay, both at the image's own pixel size
+function previewHtml({ png, width, height, shapes, lineWidth, labels }) {
+  const parts = [];
+  for (const s of shapes) {
+    const [x, y, w, h] = s.bbox;
+    for (const poly of s.polygons) {
+      const points = [];
+      for (let i = 0; i + 1 < poly.length; i += 2)
+        points.push(`${poly[i]},${poly[i + 1]}`);
+      const fill = `fill="${s.color}" fill-opacity="0.18"`;
+      parts.push(`<polygon points="${points.join(" ")}" ${fill}/>`);
+    }
+    parts.push(
+      `<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="none" stroke="${s.color}" stroke-width="${lineWidth}" stroke-dasharray="6 3"/>`
+    );
+    if (labels) {
+      const ty = y >= 16 ? y - 3 : y + 13; // above the box, or inside when at the top edge
+      const label = escapeXml(s.label);
+      parts.push(
+        `<text x="${x + 1}" y="${ty}" fill="${s.color}">${label}</text>`
+      );
+    }
+  }
+  const overlay = parts.join("");
+  return `<!doctype html><html><head><style>
+html, body { margin: 0; padding: 0; background: #fff; }
+div { position: relative; width: ${width}px; height: ${height}px; }
+img, svg { position: absolute; left: 0; top: 0; width: ${width}px; height: ${height}px; }
+text { font: bold 12px sans-serif; paint-order: stroke; stroke: #fff; stroke-width: 3px; }
+</style></head><body><div>
+<img src="data:image/png;base64,${png.toString("base64")}">
+<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}">${overlay}</svg>
+</div></body></html>`;
+}
+
+class PreviewRenderer {
+  // outDir: where <image file name> previews are written; colorMap: category name → CSS color
+  constructor({ outDir, colorMap, labels, segmentation, lineWidth }) {
+    this.browser = null; // set by attach() once the browser is up
+    this.outDir = outDir;
+    this.colorMap = colorMap;
+    this.labels = labels;
+    this.segmentation = segmentation;
+    this.lineWidth = lineWidth;
+    this.page = null; // helper tab, opened on first use
+    this.written = 0;
+  }
+
+  attach(browser) {
+    this.browser = browser;
+  }
+
+  // Draw one saved image. annotations: its COCO annotation records; categories: COCO categories.
+  async render({ png, fileName, width, height, annotations, categories }) {
+    const names = new Map(categories.map((c) => [c.id, c.name]));
+    const shapes = annotations.map((a) => {
+      const name = names.get(a.category_id) || String(a.category_id);
+      return {
+        bbox: a.bbox,
+        polygons: this.segmentation ? a.segmentation || [] : [],
+        color: this.colorMap.get(name) || "#ff4d4f",
+        label: name,
+      };
+    });
+
+    if (!this.page) this.page = await this.browser.newPage();
+    // Tall full-page images are captured beyond the viewport, like the shots themselves
+    await this.page.setViewport({
+      width,
+      height: Math.min(height, 2000),
+      deviceScaleFactor: 1,
+    });
+    await this.page.setContent(
+      previewHtml({
+        png,
+        width,
+        height,
+        shapes,
+        lineWidth: this.lineWidth,
+        labels: this.labels,
+      }),
+      { waitUntil: "load" }
+    );
+    if (!fs.existsSync(this.outDir))
+      fs.mkdirSync(this.outDir, { recursive: true });
+    const outPath = path.join(this.outDir, fileName);
+    await this.page.screenshot({
+      path: outPath,
+      clip: { x: 0, y: 0, width, height },
+    });
+    this.written += 1;
+    return outPath;
+  }
+
+  // Previews of images a resumed run discarded
+  dropImages(fileNames) {
+    for (const f of fileNames) {
+      try {
+        fs.unlinkSync(path.join(this.outDir, f));
+      } catch {}
+    }
+  }
+
+  async close() {
+    if (this.page) await this.page.close().catch(() => {});
+    this.page = null;
+  }
+}
+
+module.exports = {
+  previewOptions,
+  PreviewRenderer,
+};
@@ -0,0 +1,239 @@
+// requestPolicy.js
+// Resource policy for every tab of a run: block requests by resource type, URL pattern or domain,
+// swap images for a flat placeholder, and freeze animations/autoplaying video before each shot.
+
+const { encodePng } = require("./png");
+
+const RESOURCE_TYPES = [
+  "document",
+  "stylesheet",
+  "image",
+  "media",
+  "font",
+  "script",
+  "texttrack",
+  "xhr",
+  "fetch",
+  "prefetch",
+  "eventsource",
+  "websocket",
+  "manifest",
+  "signedexchange",
+  "ping",
+  "cspviolationreport",
+  "preflight",
+  "other",
+];
+
+// Interception priorities (Puppeteer's cooperative mode, see netArchive.js)
+const PRIORITY = { policy: 2, passThrough: 0 };
+
+const PLACEHOLDER_PNG = encodePng({
+  width: 1,
+  height: 1,
+  data: Buffer.from([204, 204, 204, 255]),
+});
+
+// "*" wildcards, or a /regular expression/
+function patternToRegExp(pattern, label) {
+  const m = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  try {
+    if (m) return new RegExp(m[1], m[2]);
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(escaped.replace(/\*/g, ".*"));
+  } catch (e) {
+    throw new Error(`"${label}": ${e.message}`);
+  }
+}
+
+function normalizeRule(raw, i) {
+  const label = `requestPolicy.block[${i}]`;
+  if (!raw || typeof raw !== "object")
+    throw new Error(`"${label}" must be an object.`);
+  for (const k of ["resourceTypes", "urlPatterns", "domains"]) {
+    if (raw[k] != null && !Array.isArray(raw[k]))
+      throw new Error(`"${label}.${k}" must be an array.`);
+  }
+  const unknown = (raw.resourceTypes || []).filter(
+    (t) => !RESOURCE_TYPES.includes(t)
+  );
+  if (unknown.length)
+    throw new Error(
+      `"${label}.resourceTypes": unknown ${unknown.join(
+        ", "
+      )} (expected: ${RESOURCE_TYPES.join(", ")}).`
+    );
+  const rule = {
+    name: raw.name || `rule${i + 1}`,
+    resourceTypes: raw.resourceTypes?.length ? raw.resourceTypes : null,
+    urlPatterns: raw.urlPatterns?.length
+      ? raw.urlPatterns.map((p, j) =>
+          patternToRegExp(p, `${label}.urlPatterns[${j}]`)
+        )
+      : null,
+    domains: raw.domains?.length
+      ? raw.domains.map((d) => d.toLowerCase())
+      : null,
+  };
+  if (!rule.resourceTypes && !rule.urlPatterns && !rule.domains)
+    throw new Error(
+      `"${label}" blocks nothing (set resourceTypes, urlPatterns or domains).`
+    );
+  return rule;
+}
+
+// Config block → options, or null when there is nothing to apply
+function requestPolicyOptions(cfg = {}) {
+  if (!cfg || cfg.enabled === false) return null;
+  if (cfg.block != null && !Array.isArray(cfg.block))
+    throw new Error(`"requestPolicy.block" must be an array of rules.`);
+  const opts = {
+    rules: (cfg.block || []).map(normalizeRule),
+    placeholderImages: cfg.placeholderImages === true,
+    freezeMotion: cfg.freezeMotion === true,
+  };
+  const names = new Set();
+  for (const r of opts.rules) {
+    if (names.has(r.name))
+      throw new Error(`Duplicate requestPolicy rule name "${r.name}".`);
+    names.add(r.name);
+  }
+  if (!opts.rules.length && !opts.placeholderImages && !opts.freezeMotion)
+    return null;
+  return opts;
+}
+
+// A rule matches when every criterion it sets does (resource type, URL pattern, domain)
+function ruleMatches(rule, { type, url, host }) {
+  if (rule.resourceTypes && !rule.resourceTypes.includes(type)) return false;
+  if (rule.urlPatterns && !rule.urlPatterns.some((re) => re.test(url)))
+    return false;
+  if (
+    rule.domains &&
+    !rule.domains.some((d) => host === d || host.endsWith(`.${d}`))
+  )
+    return false;
+  return true;
+}
+
+// In-page: stop CSS/Web animations, transitions and media playback where they are
+function freezeMotionInPage() {
+  const STYLE_ID = "__freeze_motion";
+  const css = `*, *::before, *::after {
+    animation-play-state: paused !important;
+    transition: none !important;
+    caret-color: transparent !important;
+  }`;
+  // Document styles do not reach into shadow roots, so each root gets its own copy
+  const walk = (root) => {
+    const host = root === document ? document.head : root;
+    if (host && !host.querySelector(`#${STYLE_ID}`)) {
+      const style = document.createElement("style");
+      style.id = STYLE_ID;
+      style.textContent = css;
+      host.appendChild(style);
+    }
+    for (const el of root.querySelectorAll("*")) {
+      if (el.shadowRoot) walk(el.shadowRoot);
+      if (el instanceof HTMLMediaElement) {
+        el.autoplay = false;
+        el.pause();
+      }
+    }
+  };
+  walk(document);
+  for (const a of document.getAnimations?.() || []) {
+    try {
+      a.pause();
+    } catch {}
+  }
+}
+
+// In-page, at document start: media is paused as soon as it starts (play does not bubble)
+function blockAutoplayInPage() {
+  document.addEventListener("play", (e) => e.target.pause?.(), true);
+}
+
+class RequestPolicy {
+  constructor({ rules, placeholderImages, freezeMotion }) {
+    this.rules = rules;
+    this.placeholderImages = placeholderImages;
+    this.freezeMotion = freezeMotion;
+    this.pages = new WeakSet();
+    this.blocked = Object.fromEntries(rules.map((r) => [r.name, 0]));
+    this.placeholders = 0;
+  }
+
+  get intercepts() {
+    return this.rules.length > 0 || this.placeholderImages;
+  }
+
+  // Hook a tab up (once) before it navigates
+  async attach(page) {
+    if (this.pages.has(page)) return;
+    this.pages.add(page);
+    if (this.freezeMotion)
+      await page.evaluateOnNewDocument(`(${blockAutoplayInPage})();`);
+    if (!this.intercepts) return;
+    await page.setRequestInterception(true);
+    page.on("request", (req) => this.handle(req));
+  }
+
+  handle(request) {
+    if (request.isInterceptResolutionHandled()) return;
+    const url = request.url();
+    let host = "";
+    try {
+      host = new URL(url).hostname.toLowerCase();
+    } catch {}
+    const info = { type: request.resourceType(), url, host };
+
+    const rule = /^https?:/.test(url)
+      ? this.rules.find((r) => ruleMatches(r, info))
+      : null;
+    if (rule) {
+      this.blocked[rule.name] += 1;
+      return request.abort("blockedbyclient", PRIORITY.policy).catch(() => {}); // tab closed meanwhile
+    }
+    if (this.placeholderImages && info.type === "image" && host) {
+      this.placeholders += 1;
+      return request
+        .respond(
+          { status: 200, contentType: "image/png", body: PLACEHOLDER_PNG },
+          PRIORITY.policy
+        )
+        .catch(() => {});
+    }
+    return request
+      .continue(request.continueRequestOverrides(), PRIORITY.passThrough)
+      .catch(() => {});
+  }
+
+  // Before a shot: pause whatever is still moving (no-op unless freezeMotion)
+  async freeze(page) {
+    if (!this.freezeMotion) return;
+    for (const frame of page.frames()) {
+      if (frame.detached) continue;
+      await frame.evaluate(freezeMotionInPage).catch(() => {});
+    }
+  }
+
+  get totalBlocked() {
+    return Object.values(this.blocked).reduce((a, b) => a + b, 0);
+  }
+
+  summary() {
+    const perRule = Object.entries(this.blocked).map(([n, c]) => `${n} ${c}`);
+    let out = `${this.totalBlocked} request(s) blocked`;
+    if (perRule.length) out += ` (${perRule.join(", ")})`;
+    if (this.placeholderImages)
+      out += `, ${this.placeholders} image placeholder(s)`;
+    return out;
+  }
+}
+
+module.exports = {
+  RESOURCE_TYPES,
+  requestPolicyOptions,
+  RequestPolicy,
+};
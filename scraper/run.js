@@ -0,0 +1,114 @@
+// run.js
+// State and events of one capture run. The crawler checks it between steps (pause/stop) and
+// reports through it; callers drive it with signal() and listen to its events:
+//   stateChanged { state, previous }      pageOpened { type, label, url, device, depth }
+//   shotSaved { imageId, fileName, path, width, height, pageLabel, variant, transition }
+//   annotationAdded { id, imageId, category, bbox, parentId }
+//   interactionFailed { interaction, pageLabel, step, action, selector, error, fatal }
+//   failure { message, at }               (targets/pages that could not be captured)
+
+const { EventEmitter } = require("events");
+
+const STATES = ["idle", "running", "paused", "stopped"];
+const RECENT_ERRORS = 20;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+class CaptureRun extends EventEmitter {
+  // state: "idle" waits for a start signal before crawling; "running" starts right away
+  constructor({ state = "running" } = {}) {
+    super();
+    if (!STATES.includes(state))
+      throw new TypeError(`Run state must be one of: ${STATES.join(", ")}`);
+    this.state = state;
+    this.startedAt = new Date().toISOString();
+    this.failures = 0;
+    this.recentErrors = []; // latest failures, for status reports
+    this.currentPage = null; // { type, label, url, device, depth } whose capture started last
+    this.activePages = new Set(); // all pages being captured (one per tab working in parallel)
+    this.progress = null; // () => counters merged into status(), set by the crawler
+  }
+
+  get stopped() {
+    return this.state === "stopped";
+  }
+
+  // Stopping only flags the run: the crawl winds down and the COCO file and state are written as
+  // at the end of a full run. Returns { ok, state, message }.
+  signal(sig) {
+    const fail = (message) => ({ ok: false, state: this.state, message });
+    const done = (state, message) => {
+      const previous = this.state;
+      this.state = state;
+      console.log(message);
+      this.emit("stateChanged", { state, previous });
+      return { ok: true, state, message };
+    };
+    if (this.stopped) return fail("Run is already stopping");
+    if (sig === "start")
+      return this.state === "idle"
+        ? done("running", "▶️ Start signal received")
+        : fail(`Run is already ${this.state}`);
+    if (sig === "pause")
+      return this.state === "running"
+        ? done("paused", "⏸ Paused")
+        : fail(`Cannot pause while ${this.state}`);
+    if (sig === "resume")
+      return this.state === "paused"
+        ? done("running", "▶️ Resumed")
+        : fail(`Cannot resume while ${this.state}`);
+    if (sig === "toggle")
+      return this.signal(this.state === "paused" ? "resume" : "pause");
+    if (sig === "stop") return done("stopped", "🛑 Stop signal received");
+    return fail(`Unknown signal "${sig}"`);
+  }
+
+  pageStarted(page) {
+    this.activePages.add(page);
+    this.currentPage = page;
+    this.emit("pageOpened", page);
+  }
+
+  pageFinished(page) {
+    this.activePages.delete(page);
+    if (this.currentPage === page)
+      this.currentPage = [...this.activePages].pop() ?? null;
+  }
+
+  async untilStarted() {
+    while (this.state === "idle") await sleep(100);
+  }
+
+  // Waits out a pause; resolves to false once the run is stopped
+  async proceed() {
+    while (this.state === "paused") await sleep(200);
+    return !this.stopped;
+  }
+
+  failure(message) {
+    const entry = { at: new Date().toISOString(), message };
+    this.failures += 1;
+    this.recentErrors.push(entry);
+    if (this.recentErrors.length > RECENT_ERRORS) this.recentErrors.shift();
+    console.warn(`⚠️ ${message}`);
+    this.emit("failure", entry);
+  }
+
+  status() {
+    return {
+      state: this.state,
+      startedAt: this.startedAt,
+      currentPage: this.currentPage,
+      currentUrl: this.currentPage?.url ?? null,
+      activePages: [...this.activePages],
+      ...(this.progress ? this.progress() : {}),
+      failures: this.failures,
+      recentErrors: this.recentErrors,
+    };
+  }
+}
+
+module.exports = {
+  STATES,
+  CaptureRun,
+};
@@ -0,0 +1,322 @@
+// segmentation.js
+// Polygon segmentation for annotated elements: outlines are traced in the page (per-line client
+// rects, border-radius, SVG shapes, clip-path), then clipped to the viewport and scaled by DPR here.
+
+// ----- In-page: runs inside the browser via el.evaluate(), so it must stay self-contained -----
+// Returns { polygons: [[x1, y1, x2, y2, ...], ...] } in viewport CSS pixels.
+function elementGeometry(node, { arcSegments = 4, svgSamples = 64 } = {}) {
+  const flat = (pts) => pts.flatMap(([x, y]) => [x, y]);
+
+  // Corner radii in px for a box of size w×h (percentages resolve against the box)
+  const radii = (s, w, h) => {
+    const one = (v, ref) => {
+      const [a, b = a] = String(v).split(" ");
+      const px = (t, r) =>
+        t.endsWith("%") ? (parseFloat(t) / 100) * r : parseFloat(t) || 0;
+      return [px(a, ref[0]), px(b, ref[1])];
+    };
+    const r = {
+      tl: one(s.borderTopLeftRadius, [w, h]),
+      tr: one(s.borderTopRightRadius, [w, h]),
+      br: one(s.borderBottomRightRadius, [w, h]),
+      bl: one(s.borderBottomLeftRadius, [w, h]),
+    };
+    // CSS rule: scale all radii down together if adjacent ones overlap
+    const f = Math.min(
+      1,
+      w / (r.tl[0] + r.tr[0] || 1),
+      w / (r.bl[0] + r.br[0] || 1),
+      h / (r.tl[1] + r.bl[1] || 1),
+      h / (r.tr[1] + r.br[1] || 1)
+    );
+    for (const k of Object.keys(r)) r[k] = [r[k][0] * f, r[k][1] * f];
+    return r;
+  };
+
+  const roundedRect = (x, y, w, h, r) => {
+    const pts = [];
+    const arc = (cx, cy, rx, ry, from) => {
+      if (rx <= 0 || ry <= 0) {
+        pts.push([cx + rx * Math.cos(from), cy + ry * Math.sin(from)]);
+        return;
+      }
+      for (let i = 0; i <= arcSegments; i++) {
+        const t = from + (i / arcSegments) * (Math.PI / 2);
+        pts.push([cx + rx * Math.cos(t), cy + ry * Math.sin(t)]);
+      }
+    };
+    arc(x + r.tl[0], y + r.tl[1], r.tl[0], r.tl[1], Math.PI);
+    arc(x + w - r.tr[0], y + r.tr[1], r.tr[0], r.tr[1], (3 * Math.PI) / 2);
+    arc(x + w - r.br[0], y + h - r.br[1], r.br[0], r.br[1], 0);
+    arc(x + r.bl[0], y + h - r.bl[1], r.bl[0], r.bl[1], Math.PI / 2);
+    return pts;
+  };
+
+  const ellipse = (cx, cy, rx, ry, n) => {
+    const pts = [];
+    for (let i = 0; i < n; i++) {
+      const t = (i / n) * 2 * Math.PI;
+      pts.push([cx + rx * Math.cos(t), cy + ry * Math.sin(t)]);
+    }
+    return pts;
+  };
+
+  // clip-path basic shapes, resolved against the border box
+  const clipPathPolygon = (clip, box) => {
+    const m = /^(polygon|inset|circle|ellipse)\((.*)\)/.exec(clip.trim());
+    if (!m) return null;
+    const [, kind, args] = m;
+    const len = (t, ref) =>
+      t.endsWith("%") ? (parseFloat(t) / 100) * ref : parseFloat(t) || 0;
+    const pos = (t, ref) =>
+      t === "center"
+        ? ref / 2
+        : t === "left" || t === "top"
+        ? 0
+        : t === "right" || t === "bottom"
+        ? ref
+        : len(t, ref);
+    if (kind === "polygon") {
+      const pts = args
+        .replace(/^(nonzero|evenodd)\s*,/, "")
+        .split(",")
+        .map((pair) => pair.trim().split(/\s+/))
+        .map(([x, y]) => [
+          box.left + len(x, box.width),
+          box.top + len(y, box.height),
+        ]);
+      return pts.length >= 3 ? pts : null;
+    }
+    if (kind === "inset") {
+      const [insets] = args.split(/\s+round\s+/);
+      const v = insets.trim().split(/\s+/);
+      const [t, r = t, b = t, l = r] = v;
+      const x = box.left + len(l, box.width);
+      const y = box.top + len(t, box.height);
+      const w = box.width - len(l, box.width) - len(r, box.width);
+      const h = box.height - len(t, box.height) - len(b, box.height);
+      return w > 0 && h > 0
+        ? [
+            [x, y],
+            [x + w, y],
+            [x + w, y + h],
+            [x, y + h],
+          ]
+        : null;
+    }
+    const [size, at = "center center"] = args.split(/\s+at\s+/);
+    const [ax, ay = ax] = at.trim().split(/\s+/);
+    const cx = box.left + pos(ax, box.width);
+    const cy = box.top + pos(ay, box.height);
+    const sizes = size.trim() ? size.trim().split(/\s+/) : [];
+    // Keywords are approximated as if the center were the middle of the box
+    const isKeyword = (t) => !t || t.endsWith("-side");
+    if (kind === "circle") {
+      const t = sizes[0];
+      const r = !isKeyword(t)
+        ? len(t, Math.hypot(box.width, box.height) / Math.SQRT2)
+        : t === "farthest-side"
+        ? Math.max(box.width, box.height) / 2
+        : Math.min(box.width, box.height) / 2;
+      return ellipse(cx, cy, r, r, svgSamples);
+    }
+    const rx = isKeyword(sizes[0]) ? box.width / 2 : len(sizes[0], box.width);
+    const ry = isKeyword(sizes[1]) ? box.height / 2 : len(sizes[1], box.height);
+    return ellipse(cx, cy, rx, ry, svgSamples);
+  };
+
+  // SVG geometry: sample each shape's outline and map it to viewport coords
+  const svgPolygons = (el) => {
+    const shapes =
+      el instanceof SVGGeometryElement
+        ? [el]
+        : Array.from(
+            el.querySelectorAll(
+              "path, circle, ellipse, rect, polygon, polyline, line"
+            )
+          );
+    const polys = [];
+    for (const shape of shapes) {
+      let total = 0;
+      let ctm = null;
+      try {
+        total = shape.getTotalLength();
+        ctm = shape.getScreenCTM();
+      } catch {}
+      if (!total || !ctm) continue;
+      const step = total / svgSamples;
+      let current = [];
+      let prev = null;
+      for (let i = 0; i <= svgSamples; i++) {
+        const p = shape.getPointAtLength(Math.min(total, i * step));
+        // A jump much longer than one step is a new subpath ("M" command)
+        if (prev && Math.hypot(p.x - prev.x, p.y - prev.y) > step * 3) {
+          if (current.length >= 3) polys.push(current);
+          current = [];
+        }
+        prev = p;
+        current.push([
+          ctm.a * p.x + ctm.c * p.y + ctm.e,
+          ctm.b * p.x + ctm.d * p.y + ctm.f,
+        ]);
+      }
+      if (current.length >= 3) polys.push(current);
+    }
+    // Subpaths nested inside another one are holes/details: the mask is the outer shape
+    const bbox = (pts) => {
+      const xs = pts.map((p) => p[0]);
+      const ys = pts.map((p) => p[1]);
+      return [
+        Math.min(...xs),
+        Math.min(...ys),
+        Math.max(...xs),
+        Math.max(...ys),
+      ];
+    };
+    const boxes = polys.map(bbox);
+    return polys.filter((_, i) => {
+      const [x1, y1, x2, y2] = boxes[i];
+      return !boxes.some(
+        (o, j) =>
+          j !== i &&
+          o[0] <= x1 &&
+          o[1] <= y1 &&
+          o[2] >= x2 &&
+          o[3] >= y2 &&
+          (o[0] < x1 || o[1] < y1 || o[2] > x2 || o[3] > y2)
+      );
+    });
+  };
+
+  const s = getComputedStyle(node);
+  const box = node.getBoundingClientRect();
+
+  if (s.clipPath && s.clipPath !== "none") {
+    const clipped = clipPathPolygon(s.clipPath, box);
+    if (clipped) return { polygons: [flat(clipped)] };
+  }
+
+  if (node instanceof SVGElement) {
+    const polys = svgPolygons(node);
+    if (polys.length) return { polygons: polys.map(flat) };
+  }
+
+  // One rect per line box for wrapped inline content; radii only make sense on a single box
+  const rects = Array.from(node.getClientRects()).filter(
+    (r) => r.width > 0 && r.height > 0
+  );
+  if (rects.length > 1) {
+    return {
+      polygons: rects.map((r) =>
+        flat([
+          [r.left, r.top],
+          [r.right, r.top],
+          [r.right, r.bottom],
+          [r.left, r.bottom],
+        ])
+      ),
+    };
+  }
+  const r = rects[0] || box;
+  return {
+    polygons: [
+      flat(
+        roundedRect(
+          r.left,
+          r.top,
+          r.width,
+          r.height,
+          radii(s, r.width, r.height)
+        )
+      ),
+    ],
+  };
+}
+
+// ----- Node side: clip, scale, measure -----
+
+// Sutherland–Hodgman against an axis-aligned rect; poly is flat [x1, y1, x2, y2, ...]
+function clipPolygonToRect(poly, { x1, y1, x2, y2 }) {
+  let pts = [];
+  for (let i = 0; i < poly.length; i += 2) pts.push([poly[i], poly[i + 1]]);
+
+  const edges = [
+    [(p) => p[0] >= x1, (a, b) => lerpAt(a, b, 0, x1)],
+    [(p) => p[0] <= x2, (a, b) => lerpAt(a, b, 0, x2)],
+    [(p) => p[1] >= y1, (a, b) => lerpAt(a, b, 1, y1)],
+    [(p) => p[1] <= y2, (a, b) => lerpAt(a, b, 1, y2)],
+  ];
+  for (const [inside, cross] of edges) {
+    const input = pts;
+    pts = [];
+    for (let i = 0; i < input.length; i++) {
+      const cur = input[i];
+      const prev = input[(i + input.length - 1) % input.length];
+      if (inside(cur)) {
+        if (!inside(prev)) pts.push(cross(prev, cur));
+        pts.push(cur);
+      } else if (inside(prev)) {
+        pts.push(cross(prev, cur));
+      }
+    }
+    if (!pts.length) break;
+  }
+  return pts.flat();
+}
+
+function lerpAt(a, b, axis, value) {
+  const t = (value - a[axis]) / (b[axis] - a[axis]);
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+// Shoelace formula
+function polygonArea(poly) {
+  let sum = 0;
+  const n = poly.length / 2;
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    sum += poly[2 * i] * poly[2 * j + 1] - poly[2 * j] * poly[2 * i + 1];
+  }
+  return Math.abs(sum) / 2;
+}
+
+// Region-clipped, DPR-scaled COCO segmentation; null when nothing is left in the shot.
+// frame: { x, y, clip } placement of the element's iframe (see deepQuery.frameOffsetOf)
+// region: { left, top, right, bottom } area the screenshot covers, in viewport coordinates
+// (default: the viewport); polygons are cut to it and made relative to its top-left corner.
+function toCocoSegmentation(
+  polygons,
+  { vw, vh, dpr, frame = null, region = null }
+) {
+  const ox = frame?.x || 0;
+  const oy = frame?.y || 0;
+  const r = region || { left: 0, top: 0, right: vw, bottom: vh };
+  const viewport = { x1: r.left, y1: r.top, x2: r.right, y2: r.bottom };
+  if (frame?.clip) {
+    viewport.x1 = Math.max(viewport.x1, frame.clip.left);
+    viewport.y1 = Math.max(viewport.y1, frame.clip.top);
+    viewport.x2 = Math.min(viewport.x2, frame.clip.right);
+    viewport.y2 = Math.min(viewport.y2, frame.clip.bottom);
+  }
+  const segmentation = [];
+  let area = 0;
+  for (const poly of polygons || []) {
+    const shifted = poly.map((v, i) => v + (i % 2 ? oy : ox));
+    const clipped = clipPolygonToRect(shifted, viewport).map(
+      (v, i) => Math.round((v - (i % 2 ? r.top : r.left)) * dpr * 100) / 100
+    );
+    if (clipped.length < 6) continue;
+    const a = polygonArea(clipped);
+    if (a <= 0) continue;
+    segmentation.push(clipped);
+    area += a;
+  }
+  return segmentation.length ? { segmentation, area } : null;
+}
+
+module.exports = {
+  elementGeometry,
+  clipPolygonToRect,
+  polygonArea,
+  toCocoSegmentation,
+};
@@ -0,0 +1,125 @@
+// checkpoint.test.js
+// Saving and resuming run state: captured pages survive, unfinished ones are dropped with their
+// images, and ids/labels keep counting from where the interrupted run stopped.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { RunCheckpoint } = require("../checkpoint");
+const { CocoWriter } = require("../coco");
+
+const START = "https://example.com/";
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checkpoint-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const newCheckpoint = (statePath, categories = ["post"]) =>
+  new RunCheckpoint({
+    statePath,
+    coco: new CocoWriter({ outputPath: null, categories }),
+    startUrl: START,
+  });
+
+// One finished page (two shots) and one page cut short after one shot
+function interruptedRun(statePath) {
+  const cp = newCheckpoint(statePath);
+  const shot = (url, fileName) => {
+    const imageId = cp.coco.addImage({ fileName, width: 10, height: 10 });
+    cp.coco.addAnnotation({
+      imageId,
+      categoryName: "post",
+      bbox: [0, 0, 5, 5],
+    });
+    cp.recordShot(url, imageId);
+  };
+
+  const home = START;
+  cp.beginPage(home, { type: "home", label: cp.labelFor(home, "home") });
+  shot(home, "home_1__1.png");
+  shot(home, "home_1__2.png");
+  cp.setLinks(home, 0, ["https://example.com/a", "https://example.com/b"]);
+  cp.endPage(home);
+
+  const post = "https://example.com/a";
+  cp.beginPage(post, { type: "post", label: cp.labelFor(post, "post") });
+  shot(post, "post_1__1.png");
+  return cp;
+}
+
+test("resume keeps captured pages and drops unfinished ones", (t) => {
+  const statePath = path.join(tempDir(t), "run-state.json");
+  interruptedRun(statePath);
+
+  const cp = newCheckpoint(statePath);
+  const resumed = cp.resume();
+
+  assert.deepEqual(resumed, {
+    capturedPages: 1,
+    images: 2,
+    droppedFiles: ["post_1__1.png"],
+  });
+  assert.deepEqual(
+    cp.coco.images.map((img) => img.file_name),
+    ["home_1__1.png", "home_1__2.png"]
+  );
+  assert.equal(cp.coco.annotations.length, 2);
+  assert.ok(cp.isCaptured(START));
+  assert.ok(!cp.isCaptured("https://example.com/a"));
+  assert.deepEqual(cp.getLinks(START, 0), [
+    "https://example.com/a",
+    "https://example.com/b",
+  ]);
+});
+
+test("resume continues ids and labels instead of reusing them", (t) => {
+  const statePath = path.join(tempDir(t), "run-state.json");
+  interruptedRun(statePath);
+
+  const cp = newCheckpoint(statePath);
+  cp.resume();
+
+  // The dropped image's id is not handed out again
+  assert.equal(cp.coco.addImage({ fileName: "x.png", width: 1, height: 1 }), 4);
+  // The unfinished page keeps its label; a new page gets the next number
+  assert.equal(cp.labelFor("https://example.com/a", "post"), "post_1");
+  assert.equal(cp.labelFor("https://example.com/b", "post"), "post_2");
+});
+
+test("resume keeps saved category ids and appends new categories", (t) => {
+  const statePath = path.join(tempDir(t), "run-state.json");
+  interruptedRun(statePath);
+
+  const cp = newCheckpoint(statePath, ["comment", "post"]);
+  cp.resume();
+
+  assert.deepEqual(
+    cp.coco.categories.map((c) => [c.name, c.id]),
+    [
+      ["post", 1],
+      ["comment", 2],
+    ]
+  );
+});
+
+test("resume without a state file starts fresh", (t) => {
+  const cp = newCheckpoint(path.join(tempDir(t), "missing.json"));
+  assert.equal(cp.resume(), null);
+});
+
+test("resume rejects state files of another version", (t) => {
+  const statePath = path.join(tempDir(t), "run-state.json");
+  fs.writeFileSync(statePath, JSON.stringify({ version: 99 }));
+  assert.throws(() => newCheckpoint(statePath).resume(), /version 99/);
+});
+
+test("saves leave no temporary file behind", (t) => {
+  const dir = tempDir(t);
+  interruptedRun(path.join(dir, "run-state.json"));
+  assert.deepEqual(fs.readdirSync(dir), ["run-state.json"]);
+});
@@ -0,0 +1,170 @@
+// crops.test.js
+// Classification crops: boxes cut from the screenshot with padding, filtered by size and shape,
+// kept inside crops/ whatever the category is called, and cleaned up on drop and reset.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { cropOptions, CropWriter } = require("../crops");
+const { decodePng, encodePng, cropPixels } = require("../png");
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "crops-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// 40×200 screenshot where every pixel differs from its neighbours
+function screenshot() {
+  const width = 40;
+  const height = 200;
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data[i * 4] = i & 0xff;
+    data[i * 4 + 1] = (i >> 8) & 0xff;
+    data[i * 4 + 2] = (i * 7) & 0xff;
+    data[i * 4 + 3] = 255;
+  }
+  return {
+    image: { width, height, data },
+    png: encodePng({ width, height, data }),
+  };
+}
+
+const writer = (outDir, opts = {}) =>
+  new CropWriter({
+    outDir,
+    ...cropOptions({
+      enabled: true,
+      padding: 2,
+      minWidth: 4,
+      minHeight: 4,
+      ...opts,
+    }),
+  });
+
+const manifest = (outDir) =>
+  fs
+    .readFileSync(path.join(outDir, "manifest.jsonl"), "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+
+test("cropOptions is null unless enabled and checks its values", () => {
+  assert.equal(cropOptions(undefined), null);
+  assert.equal(cropOptions({ padding: 4 }), null);
+  assert.throws(() => cropOptions({ enabled: true, padding: -1 }), /negative/);
+  assert.throws(
+    () => cropOptions({ enabled: true, maxAspectRatio: 0.5 }),
+    /at least 1/
+  );
+});
+
+test("crops are the padded boxes, clamped to the screenshot", async (t) => {
+  const outDir = path.join(tempDir(t), "crops");
+  const { image, png } = screenshot();
+  const crops = writer(outDir, { maxAspectRatio: 5 });
+
+  const written = await crops.addImage({
+    png,
+    imageId: 3,
+    fileName: "home_1__1.png",
+    annotations: [
+      { id: 1, category: "post", bbox: [10, 20, 10, 10] },
+      { id: 2, category: "post", bbox: [30, 185, 10, 15] }, // padding runs off the edges
+      { id: 3, category: "post", bbox: [0, 0, 2, 2] }, // too small
+      { id: 4, category: "post", bbox: [0, 50, 30, 5] }, // too long and thin
+    ],
+  });
+
+  assert.equal(written, 2);
+  assert.equal(crops.filtered, 2);
+  const entries = manifest(outDir);
+  assert.deepEqual(
+    entries.map((e) => [e.file_name, e.image_id, e.annotation_id, e.crop_box]),
+    [
+      ["post/home_1__1__1.png", 3, 1, [8, 18, 14, 14]],
+      ["post/home_1__1__2.png", 3, 2, [28, 183, 12, 17]],
+    ]
+  );
+  for (const e of entries) {
+    const [x, y, width, height] = e.crop_box;
+    const saved = decodePng(fs.readFileSync(path.join(outDir, e.file_name)));
+    assert.ok(
+      saved.data.equals(cropPixels(image, { x, y, width, height }).data)
+    );
+  }
+});
+
+test("category names cannot leave the crops folder", async (t) => {
+  const root = tempDir(t);
+  const outDir = path.join(root, "crops");
+  const { png } = screenshot();
+
+  await writer(outDir).addImage({
+    png,
+    imageId: 1,
+    fileName: "s.png",
+    annotations: [
+      { id: 1, category: "../escape", bbox: [0, 0, 8, 8] },
+      { id: 2, category: "..", bbox: [0, 0, 8, 8] },
+      { id: 3, category: "a/b:c", bbox: [0, 0, 8, 8] },
+      { id: 4, category: "NUL", bbox: [0, 0, 8, 8] },
+    ],
+  });
+
+  assert.deepEqual(fs.readdirSync(root), ["crops"]);
+  assert.deepEqual(
+    manifest(outDir).map((e) => [e.category, e.file_name]),
+    [
+      ["../escape", "__escape/s__1.png"],
+      ["..", "_/s__2.png"],
+      ["a/b:c", "a_b_c/s__3.png"],
+      ["NUL", "NUL_/s__4.png"],
+    ]
+  );
+});
+
+test("dropImages removes the crops of discarded screenshots only", async (t) => {
+  const outDir = path.join(tempDir(t), "crops");
+  const { png } = screenshot();
+  const crops = writer(outDir);
+  for (const [imageId, fileName] of [
+    [1, "a.png"],
+    [2, "b.png"],
+  ])
+    await crops.addImage({
+      png,
+      imageId,
+      fileName,
+      annotations: [{ id: imageId, category: "post", bbox: [0, 0, 8, 8] }],
+    });
+
+  assert.equal(crops.dropImages(["b.png"]), 1);
+  assert.deepEqual(
+    manifest(outDir).map((e) => e.image_file),
+    ["a.png"]
+  );
+  assert.deepEqual(fs.readdirSync(path.join(outDir, "post")), ["a__1.png"]);
+});
+
+test("reset removes the previous run's crops but not other files", async (t) => {
+  const outDir = path.join(tempDir(t), "crops");
+  const { png } = screenshot();
+  fs.mkdirSync(path.join(outDir, "notes"), { recursive: true });
+  fs.writeFileSync(path.join(outDir, "notes", "keep.txt"), "mine");
+  await writer(outDir).addImage({
+    png,
+    imageId: 1,
+    fileName: "a.png",
+    annotations: [{ id: 1, category: "post", bbox: [0, 0, 8, 8] }],
+  });
+
+  writer(outDir).reset();
+
+  assert.deepEqual(fs.readdirSync(outDir), ["notes"]);
+  assert.deepEqual(fs.readdirSync(path.join(outDir, "notes")), ["keep.txt"]);
+});
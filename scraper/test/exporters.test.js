@@ -0,0 +1,141 @@
+// exporters.test.js
+// Export format checks (config, library and convert CLI) and a YOLO export of a small dataset.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { FORMATS, exportOptions, exportDataset } = require("../exporters");
+const { normalizeConfig } = require("../config");
+const { ConfigError } = require("../errors");
+const { EXIT_CODES } = require("../cli");
+const { encodePng } = require("../png");
+
+const CONVERT = path.join(__dirname, "..", "convert.js");
+const BASE_CONFIG = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "..", "config.json"), "utf8")
+);
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "exporters-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// A 20×10 image with one "post" box in its left half, next to its COCO file
+function writeDataset(dir) {
+  const png = encodePng({
+    width: 20,
+    height: 10,
+    data: Buffer.alloc(20 * 10 * 4, 255),
+  });
+  fs.writeFileSync(path.join(dir, "home_1__1.png"), png);
+  const cocoPath = path.join(dir, "annotations.coco.json");
+  fs.writeFileSync(
+    cocoPath,
+    JSON.stringify({
+      info: {},
+      images: [{ id: 1, file_name: "home_1__1.png", width: 20, height: 10 }],
+      annotations: [
+        { id: 1, image_id: 1, category_id: 1, bbox: [0, 0, 10, 10] },
+      ],
+      categories: [{ id: 1, name: "post" }],
+    })
+  );
+  return cocoPath;
+}
+
+test("exportOptions accepts known formats and defaults to none", () => {
+  assert.deepEqual(exportOptions(undefined), { formats: [], dir: "exports" });
+  assert.deepEqual(exportOptions({ formats: ["yolo", "voc"], dir: "out" }), {
+    formats: ["yolo", "voc"],
+    dir: "out",
+  });
+});
+
+test("exportOptions names unknown formats", () => {
+  assert.throws(
+    () => exportOptions({ formats: ["yolo", "bogus"] }),
+    /"exports\.formats": unknown bogus/
+  );
+  assert.throws(() => exportOptions({ formats: "yolo" }), /must be an array/);
+  assert.throws(
+    () => exportOptions({ formats: ["yol"] }, { key: "--format" }),
+    /^Error: --format: unknown yol/
+  );
+});
+
+test("a format typo in the config is a ConfigError", () => {
+  assert.throws(
+    () => normalizeConfig({ ...BASE_CONFIG, exports: { formats: ["yolo5"] } }),
+    (e) => e instanceof ConfigError && /unknown yolo5/.test(e.message)
+  );
+});
+
+test("exportDataset writes nothing when any format is unknown", (t) => {
+  const dir = tempDir(t);
+  const cocoPath = writeDataset(dir);
+  const outRoot = path.join(dir, "exports");
+
+  assert.throws(
+    () => exportDataset(cocoPath, ["yolo", "bogus"], { outRoot }),
+    /Unknown export format\(s\) bogus/
+  );
+  assert.ok(!fs.existsSync(outRoot));
+});
+
+test("exportDataset writes YOLO labels normalized to the image size", (t) => {
+  const dir = tempDir(t);
+  const cocoPath = writeDataset(dir);
+  const outRoot = path.join(dir, "exports");
+
+  const results = exportDataset(cocoPath, ["yolo"], { outRoot });
+
+  assert.deepEqual(results, {
+    yolo: { outDir: path.join(outRoot, "yolo"), images: 1 },
+  });
+  const yolo = path.join(outRoot, "yolo");
+  assert.equal(
+    fs.readFileSync(path.join(yolo, "labels", "home_1__1.txt"), "utf8"),
+    "0 0.25 0.5 0.5 1\n"
+  );
+  assert.equal(
+    fs.readFileSync(path.join(yolo, "classes.txt"), "utf8"),
+    "post\n"
+  );
+  assert.ok(fs.existsSync(path.join(yolo, "images", "home_1__1.png")));
+});
+
+test("convert exits with the usage code and writes nothing on a bad format", (t) => {
+  const dir = tempDir(t);
+  const cocoPath = writeDataset(dir);
+
+  const res = spawnSync(
+    process.execPath,
+    [CONVERT, cocoPath, "-f", "yolo,bogus"],
+    { cwd: dir, encoding: "utf8" }
+  );
+
+  assert.equal(res.status, EXIT_CODES.USAGE);
+  assert.match(res.stderr, /--format: unknown bogus/);
+  assert.ok(!fs.existsSync(path.join(dir, "exports")));
+});
+
+test("convert exports every format by default", (t) => {
+  const dir = tempDir(t);
+  const cocoPath = writeDataset(dir);
+
+  const res = spawnSync(process.execPath, [CONVERT, cocoPath], {
+    cwd: dir,
+    encoding: "utf8",
+  });
+
+  assert.equal(res.status, EXIT_CODES.OK, res.stderr);
+  assert.deepEqual(
+    fs.readdirSync(path.join(dir, "exports")).sort(),
+    [...FORMATS].sort()
+  );
+});
@@ -0,0 +1,208 @@
+// merge.test.js
+// Merging runs: categories unified by name, ids renumbered, name clashes renamed, and duplicate
+// screenshots merged (exact) or dropped (near, with --dedupe).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { mergeDatasets } = require("../merge");
+const { EXIT_CODES } = require("../cli");
+const { encodePng } = require("../png");
+
+const MERGE = path.join(__dirname, "..", "merge.js");
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "merge-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// 16×16 horizontal gradient; shade shifts every pixel a little (visually the same image)
+function gradientPng(shade = 0) {
+  const data = Buffer.alloc(16 * 16 * 4);
+  for (let i = 0; i < 16 * 16; i++) {
+    const v = ((i % 16) * 16 + shade) & 0xff;
+    data.fill(v, i * 4, i * 4 + 3);
+    data[i * 4 + 3] = 255;
+  }
+  return encodePng({ width: 16, height: 16, data });
+}
+
+// files: { name: png buffer }; coco: images/annotations/categories of the run
+function writeRun(dir, name, files, coco) {
+  const runDir = path.join(dir, name);
+  fs.mkdirSync(runDir);
+  for (const [file, png] of Object.entries(files))
+    fs.writeFileSync(path.join(runDir, file), png);
+  fs.writeFileSync(
+    path.join(runDir, "annotations.coco.json"),
+    JSON.stringify({ info: { description: name }, ...coco })
+  );
+  return runDir;
+}
+
+const image = (id, file_name, extra = {}) => ({
+  id,
+  file_name,
+  width: 16,
+  height: 16,
+  ...extra,
+});
+const box = (id, image_id, category_id, bbox, extra = {}) => ({
+  id,
+  image_id,
+  category_id,
+  bbox,
+  ...extra,
+});
+
+const readMerged = (outPath) => JSON.parse(fs.readFileSync(outPath, "utf8"));
+
+test("byte-identical screenshots are merged with the annotations of both", (t) => {
+  const dir = tempDir(t);
+  const png = gradientPng();
+  const runA = writeRun(
+    dir,
+    "runA",
+    { "home_1__1.png": png },
+    {
+      images: [image(1, "home_1__1.png")],
+      categories: [{ id: 1, name: "post" }],
+      annotations: [box(1, 1, 1, [0, 0, 8, 8])],
+    }
+  );
+  const runB = writeRun(
+    dir,
+    "runB",
+    { "shot.png": png },
+    {
+      images: [image(7, "shot.png")],
+      categories: [
+        { id: 1, name: "comment" },
+        { id: 2, name: "post" },
+      ],
+      annotations: [
+        box(3, 7, 2, [0, 0, 8, 8]), // same post box as runA
+        box(4, 7, 1, [2, 2, 4, 4], { parent_id: 3 }),
+      ],
+    }
+  );
+
+  const { outPath, stats } = mergeDatasets([runA, runB], {
+    outDir: path.join(dir, "out"),
+    outputFile: "merged.json",
+  });
+  const merged = readMerged(outPath);
+
+  assert.equal(stats.images, 1);
+  assert.equal(stats.exactDuplicates, 1);
+  assert.equal(stats.mergedAnnotations, 1);
+  assert.deepEqual(
+    merged.categories.map((c) => [c.id, c.name]),
+    [
+      [1, "post"],
+      [2, "comment"],
+    ]
+  );
+  assert.deepEqual(
+    merged.annotations.map((a) => [
+      a.id,
+      a.image_id,
+      a.category_id,
+      a.parent_id,
+    ]),
+    [
+      [1, 1, 1, undefined],
+      [2, 1, 2, 1], // runB's comment, under the post box both runs share
+    ]
+  );
+});
+
+test("file-name clashes are renamed and references renumbered", (t) => {
+  const dir = tempDir(t);
+  const coco = {
+    images: [
+      image(1, "home_1__1.png"),
+      image(2, "home_1__1__dark.png", { variant_of: 1 }),
+    ],
+    categories: [{ id: 5, name: "post" }],
+    annotations: [box(9, 2, 5, [1, 1, 4, 4])],
+  };
+  const runA = writeRun(
+    dir,
+    "runA",
+    { "home_1__1.png": gradientPng(0), "home_1__1__dark.png": gradientPng(1) },
+    coco
+  );
+  const runB = writeRun(
+    dir,
+    "runB",
+    { "home_1__1.png": gradientPng(2), "home_1__1__dark.png": gradientPng(3) },
+    coco
+  );
+
+  const { outPath, stats } = mergeDatasets([runA, runB], {
+    outDir: path.join(dir, "out"),
+    outputFile: "merged.json",
+  });
+  const merged = readMerged(outPath);
+
+  assert.equal(stats.renamed, 2);
+  assert.deepEqual(
+    merged.images.map((img) => [img.id, img.file_name, img.variant_of]),
+    [
+      [1, "home_1__1.png", undefined],
+      [2, "home_1__1__dark.png", 1],
+      [3, "runB__home_1__1.png", undefined],
+      [4, "runB__home_1__1__dark.png", 3],
+    ]
+  );
+  assert.deepEqual(
+    merged.annotations.map((a) => [a.id, a.image_id, a.category_id]),
+    [
+      [1, 2, 1],
+      [2, 4, 1],
+    ]
+  );
+  for (const img of merged.images)
+    assert.ok(fs.existsSync(path.join(dir, "out", img.file_name)));
+});
+
+test("near-identical screenshots are only dropped with dedupe", (t) => {
+  const dir = tempDir(t);
+  const coco = {
+    images: [image(1, "shot.png")],
+    categories: [{ id: 1, name: "post" }],
+    annotations: [box(1, 1, 1, [0, 0, 8, 8])],
+  };
+  const runA = writeRun(dir, "runA", { "shot.png": gradientPng(0) }, coco);
+  const runB = writeRun(dir, "runB", { "shot.png": gradientPng(1) }, coco);
+
+  const kept = mergeDatasets([runA, runB], {
+    outDir: path.join(dir, "kept"),
+    outputFile: "merged.json",
+  });
+  assert.equal(kept.stats.images, 2);
+  assert.equal(kept.stats.nearDuplicates, 0);
+
+  const deduped = mergeDatasets([runA, runB], {
+    outDir: path.join(dir, "deduped"),
+    outputFile: "merged.json",
+    dedupe: 0,
+  });
+  assert.equal(deduped.stats.images, 1);
+  assert.equal(deduped.stats.nearDuplicates, 1);
+  assert.equal(readMerged(deduped.outPath).annotations.length, 1);
+});
+
+test("merge exits with the usage code without an output directory", (t) => {
+  const res = spawnSync(process.execPath, [MERGE, tempDir(t)], {
+    encoding: "utf8",
+  });
+  assert.equal(res.status, EXIT_CODES.USAGE);
+  assert.match(res.stderr, /Missing --out/);
+});
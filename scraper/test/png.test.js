@@ -0,0 +1,233 @@
+// png.test.js
+// PNG codec: encode/decode round trip, every scanline filter and color type the decoder reads,
+// row bands (streamed) matching the whole-image decode, crops and size reads.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+
+const {
+  decodePng,
+  decodePngRows,
+  encodePng,
+  cropPixels,
+  pngSize,
+} = require("../png");
+
+const SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 }; // color type -> samples per pixel
+
+function crc32(buf) {
+  let c = -1;
+  for (const b of buf) {
+    c ^= b;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return (c ^ -1) >>> 0;
+}
+
+function chunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, "ascii");
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+// Deterministic noise, so every filter sees varied neighbours
+function samples(length, seed) {
+  const out = Buffer.alloc(length);
+  let s = seed;
+  for (let i = 0; i < length; i++) {
+    s = (s * 1103515245 + 12345) & 0x7fffffff;
+    out[i] = s >> 16;
+  }
+  return out;
+}
+
+// PNG of the given raw samples, row y filtered with filter y % 5 (None, Sub, Up, Average, Paeth),
+// its pixel data split over two IDAT chunks
+function filteredPng({ width, height, colorType, pixels }) {
+  const bpp = CHANNELS[colorType];
+  const stride = width * bpp;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const filter = y % 5;
+    raw[y * (stride + 1)] = filter;
+    for (let x = 0; x < stride; x++) {
+      const at = (yy, xx) => (yy < 0 || xx < 0 ? 0 : pixels[yy * stride + xx]);
+      const v = at(y, x);
+      const a = at(y, x - bpp);
+      const b = at(y - 1, x);
+      const c = at(y - 1, x - bpp);
+      let pred = 0;
+      if (filter === 1) pred = a;
+      else if (filter === 2) pred = b;
+      else if (filter === 3) pred = (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        pred = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      raw[y * (stride + 1) + 1 + x] = (v - pred) & 0xff;
+    }
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = colorType;
+  const z = zlib.deflateSync(raw);
+  const half = z.length >> 1;
+  return Buffer.concat([
+    SIGNATURE,
+    chunk("IHDR", ihdr),
+    chunk("IDAT", z.subarray(0, half)),
+    chunk("IDAT", z.subarray(half)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// The RGBA the decoder should produce from raw samples
+function expectedRgba(pixels, colorType) {
+  const bpp = CHANNELS[colorType];
+  const out = Buffer.alloc((pixels.length / bpp) * 4);
+  for (let i = 0, j = 0; j < pixels.length; i += 4, j += bpp) {
+    const gray = bpp < 3;
+    out[i] = pixels[j];
+    out[i + 1] = gray ? pixels[j] : pixels[j + 1];
+    out[i + 2] = gray ? pixels[j] : pixels[j + 2];
+    out[i + 3] = bpp === 4 ? pixels[j + 3] : bpp === 2 ? pixels[j + 1] : 255;
+  }
+  return out;
+}
+
+test("encodePng output decodes to the same pixels", () => {
+  const img = { width: 13, height: 7, data: samples(13 * 7 * 4, 1) };
+  const png = encodePng(img);
+
+  assert.deepEqual(pngSize(png), { width: 13, height: 7 });
+  const decoded = decodePng(png);
+  assert.equal(decoded.width, 13);
+  assert.equal(decoded.height, 7);
+  assert.ok(decoded.data.equals(img.data));
+});
+
+for (const [colorType, name] of [
+  [0, "gray"],
+  [2, "RGB"],
+  [4, "gray + alpha"],
+  [6, "RGBA"],
+]) {
+  test(`decodePng undoes every filter (${name})`, () => {
+    const width = 9;
+    const height = 11;
+    const pixels = samples(width * height * CHANNELS[colorType], colorType + 7);
+    const png = filteredPng({ width, height, colorType, pixels });
+
+    const decoded = decodePng(png);
+    assert.ok(decoded.data.equals(expectedRgba(pixels, colorType)));
+  });
+}
+
+test("decodePngRows returns the same rows as a whole decode", async () => {
+  const width = 40;
+  const height = 300;
+  const pixels = samples(width * height * 3, 3);
+  const png = filteredPng({ width, height, colorType: 2, pixels });
+  const full = decodePng(png).data;
+  const rowBytes = width * 4;
+
+  for (const [top, bottom, y1, y2] of [
+    [0, 1, 0, 1],
+    [37, 120, 37, 120],
+    [250.5, 299.2, 250, 300],
+    [-10, 5, 0, 5],
+    [290, Infinity, 290, 300],
+    [120, 120, 120, 120],
+  ]) {
+    const band = await decodePngRows(png, { top, bottom });
+    assert.equal(band.top, y1);
+    assert.equal(band.height, y2 - y1);
+    assert.ok(
+      band.data.equals(full.subarray(y1 * rowBytes, y2 * rowBytes)),
+      `rows ${top}..${bottom}`
+    );
+  }
+});
+
+test("decodePngRows stops inflating after the last row asked for", async () => {
+  // Eight good rows (several inflate output chunks), then a corrupt deflate block: only a
+  // decode that reads past the band reaches it
+  const width = 1024;
+  const stride = width * 4 + 1;
+  const good = zlib.deflateSync(Buffer.alloc(stride * 8), {
+    finishFlush: zlib.constants.Z_SYNC_FLUSH,
+  });
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(100, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  const png = Buffer.concat([
+    SIGNATURE,
+    chunk("IHDR", ihdr),
+    chunk("IDAT", Buffer.concat([good, Buffer.alloc(64, 0xff)])),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+
+  const band = await decodePngRows(png, { top: 1, bottom: 3 });
+  assert.equal(band.height, 2);
+  assert.ok(band.data.equals(Buffer.alloc(width * 2 * 4)));
+  await assert.rejects(decodePngRows(png, { top: 0, bottom: 100 }));
+  assert.throws(() => decodePng(png));
+});
+
+test("truncated pixel data is an error", async () => {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(4, 0);
+  ihdr.writeUInt32BE(4, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  const png = Buffer.concat([
+    SIGNATURE,
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(Buffer.alloc(17 * 2))), // 2 of 4 rows
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+
+  assert.throws(() => decodePng(png), /ends early/);
+  await assert.rejects(decodePngRows(png, { top: 0, bottom: 4 }), /ends early/);
+});
+
+test("unsupported or non-PNG input is rejected", () => {
+  assert.throws(() => decodePng(Buffer.from("GIF89a")), /Not a PNG/);
+  assert.throws(() => pngSize(Buffer.alloc(30)), /Not a PNG/);
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(1, 0);
+  ihdr.writeUInt32BE(1, 4);
+  ihdr[8] = 16;
+  ihdr[9] = 6;
+  const deep = Buffer.concat([SIGNATURE, chunk("IHDR", ihdr)]);
+  assert.throws(() => decodePng(deep), /Unsupported PNG \(bit depth 16/);
+});
+
+test("cropPixels cuts a rectangle out of an RGBA image", () => {
+  const img = { width: 5, height: 4, data: samples(5 * 4 * 4, 9) };
+  const crop = cropPixels(img, { x: 1, y: 2, width: 3, height: 2 });
+
+  assert.equal(crop.width, 3);
+  assert.equal(crop.height, 2);
+  for (let row = 0; row < 2; row++) {
+    const src = ((2 + row) * 5 + 1) * 4;
+    assert.ok(
+      crop.data
+        .subarray(row * 12, row * 12 + 12)
+        .equals(img.data.subarray(src, src + 12))
+    );
+  }
+});
@@ -0,0 +1,113 @@
+// variants.js
+// Rendering variants captured as extra shots of the same scroll position: color scheme, reduced
+// motion, browser zoom and font scaling. Each variant is applied, shot, then reverted.
+
+const NAME_RE = /^[\w.-]+$/;
+const DEFAULT_FONT_SIZES = { standard: 16, fixed: 13 }; // Chrome's defaults, in px
+
+function normalizeVariant(raw, i) {
+  const label = `variants.list[${i}]`;
+  if (!raw || typeof raw !== "object")
+    throw new Error(`"${label}" must be an object.`);
+  if (!raw.name || !NAME_RE.test(raw.name))
+    throw new Error(
+      `"${label}.name" is required and may only use letters, digits, ".", "_" and "-".`
+    );
+  const v = { name: raw.name };
+  if (raw.colorScheme != null) {
+    if (!["light", "dark"].includes(raw.colorScheme))
+      throw new Error(`"${label}.colorScheme" must be "light" or "dark".`);
+    v.colorScheme = raw.colorScheme;
+  }
+  if (raw.reducedMotion != null) v.reducedMotion = raw.reducedMotion === true;
+  for (const k of ["zoom", "fontScale"]) {
+    if (raw[k] == null) continue;
+    if (!Number.isFinite(raw[k]) || raw[k] <= 0)
+      throw new Error(`"${label}.${k}" must be a positive number.`);
+    v[k] = raw[k];
+  }
+  if (Object.keys(v).length === 1)
+    throw new Error(
+      `"${label}" changes nothing (set colorScheme, reducedMotion, zoom or fontScale).`
+    );
+  return v;
+}
+
+// Config block → list of variants; empty when disabled
+function variantOptions(cfg = {}) {
+  if (!cfg || cfg.enabled !== true) return [];
+  if (!Array.isArray(cfg.list))
+    throw new Error(`"variants.list" must be an array.`);
+  const list = cfg.list.map(normalizeVariant);
+  const names = new Set();
+  for (const v of list) {
+    if (names.has(v.name))
+      throw new Error(`Duplicate variant name "${v.name}".`);
+    names.add(v.name);
+  }
+  return list;
+}
+
+// Apply a variant; resolves to an async function that puts the page back as it was.
+// metrics: { dpr, vw, vh } of the page before the variant (zoom starts from these).
+async function applyVariant(page, variant, metrics) {
+  const undo = [];
+
+  const features = [];
+  if (variant.colorScheme)
+    features.push({ name: "prefers-color-scheme", value: variant.colorScheme });
+  if (variant.reducedMotion != null)
+    features.push({
+      name: "prefers-reduced-motion",
+      value: variant.reducedMotion ? "reduce" : "no-preference",
+    });
+  if (features.length) {
+    await page.emulateMediaFeatures(features);
+    undo.push(() => page.emulateMediaFeatures([]));
+  }
+
+  // Browser zoom: fewer CSS pixels in the same window, each drawn with more device pixels
+  // page.viewport() is null when the page has no viewport of its own (headful, or launched with
+  // defaultViewport: null); setViewport(null) then drops the override again.
+  if (variant.zoom && variant.zoom !== 1) {
+    const current = page.viewport();
+    const before = current ? { ...current } : null;
+    const { dpr, vw, vh } = metrics;
+    await page.setViewport({
+      ...(before || {}),
+      width: Math.round(vw / variant.zoom),
+      height: Math.round(vh / variant.zoom),
+      deviceScaleFactor: dpr * variant.zoom,
+    });
+    undo.push(() => page.setViewport(before));
+  }
+
+  if (variant.fontScale && variant.fontScale !== 1) {
+    const session = await page.createCDPSession();
+    const setFontSizes = (scale) =>
+      session.send("Page.setFontSizes", {
+        fontSizes: {
+          standard: Math.round(DEFAULT_FONT_SIZES.standard * scale),
+          fixed: Math.round(DEFAULT_FONT_SIZES.fixed * scale),
+        },
+      });
+    await setFontSizes(variant.fontScale);
+    undo.push(async () => {
+      await setFontSizes(1);
+      await session.detach();
+    });
+  }
+
+  return async () => {
+    for (const fn of undo.reverse()) {
+      try {
+        await fn();
+      } catch {}
+    }
+  };
+}
+
+module.exports = {
+  variantOptions,
+  applyVariant,
+};
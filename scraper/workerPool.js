@@ -0,0 +1,36 @@
+// workerPool.js
+// Parallel page visits: a pool of workers draining a list of links, and a lock for the steps tabs
+// must take in turn (a shot needs its tab in front: background tabs do not paint).
+
+class Lock {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  // Runs fn once every earlier holder is done; resolves/rejects with fn's result
+  run(fn) {
+    const result = this.tail.then(fn);
+    this.tail = result.catch(() => {});
+    return result;
+  }
+}
+
+// Calls work(item, index) for every item, at most `concurrency` at a time, in list order. When work
+// resolves to false no further items are started; the ones in flight still finish.
+async function runPool(items, concurrency, work) {
+  let next = 0;
+  let halted = false;
+  const worker = async () => {
+    while (!halted && next < items.length) {
+      const index = next++;
+      if ((await work(items[index], index)) === false) halted = true;
+    }
+  };
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+}
+
+module.exports = {
+  Lock,
+  runPool,
+};